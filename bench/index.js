@@ -0,0 +1,94 @@
+"use strict";
+
+/**
+ * compares flatback flows with native async functions doing the same work.
+ * run with `npm run bench`, optionally passing a scheduler name: `npm run bench -- timeout`
+ */
+
+const flatback = require('../index');
+
+const ITERATIONS = 2000;
+const RUNS = 5;
+
+const suites = [
+  {
+    name: `${ITERATIONS} sequential awaits of resolved promises`,
+    native: async () => {
+      for (let index = 0; index < ITERATIONS; index ++){
+        await Promise.resolve(index);
+      }
+    },
+    flatback: flatback.async(function* (){
+      for (let index = 0; index < ITERATIONS; index ++){
+        yield Promise.resolve(index);
+      }
+    }),
+  },
+  {
+    name: `${ITERATIONS} sequential callbacks called synchronously`,
+    native: async () => {
+      for (let index = 0; index < ITERATIONS; index ++){
+        await new Promise(resolve => resolve(index));
+      }
+    },
+    flatback: flatback.async(function* (){
+      for (let index = 0; index < ITERATIONS; index ++){
+        yield callback => callback(index);
+      }
+    }),
+  },
+  {
+    name: `${ITERATIONS} sequential callbacks called on the next tick`,
+    native: async () => {
+      for (let index = 0; index < ITERATIONS; index ++){
+        await new Promise(resolve => process.nextTick(resolve));
+      }
+    },
+    flatback: flatback.async(function* (){
+      for (let index = 0; index < ITERATIONS; index ++){
+        yield callback => process.nextTick(callback);
+      }
+    }),
+  },
+  {
+    name: `arrays of ${ITERATIONS} resolved promises`,
+    native: () => Promise.all(new Array(ITERATIONS).fill(0).map((_, index) => Promise.resolve(index))),
+    flatback: flatback.async(function* (){
+      yield new Array(ITERATIONS).fill(0).map((_, index) => Promise.resolve(index));
+    }),
+  },
+];
+
+/**
+ * time the fastest of several runs of a function returning a promise.
+ * @param {Function} fn - function to time
+ * @returns {Promise} - resolves to the fastest time in ms
+ */
+function time(fn){
+  let fastest = Infinity;
+  let chain = Promise.resolve();
+  for (let run = 0; run < RUNS; run ++){
+    chain = chain.then(() => {
+      const start = process.hrtime();
+      return fn().then(() => {
+        const elapsed = process.hrtime(start);
+        fastest = Math.min(fastest, elapsed[0] * 1e3 + elapsed[1] / 1e6);
+      });
+    });
+  }
+  return chain.then(() => fastest);
+}
+
+const strategy = process.argv[2] || 'microtask';
+flatback.setScheduler(strategy);
+console.log(`flatback scheduler: ${strategy}`);
+
+suites.reduce((chain, suite) => chain.then(() =>
+  time(suite.native).then(nativeTime =>
+    time(suite.flatback).then(flatbackTime => {
+      console.log(`${suite.name}`);
+      console.log(`  native async/await: ${nativeTime.toFixed(2)}ms`);
+      console.log(`  flatback.async:     ${flatbackTime.toFixed(2)}ms (${(flatbackTime / nativeTime).toFixed(1)}x)`);
+    })
+  )
+), Promise.resolve());
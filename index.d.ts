@@ -0,0 +1,396 @@
+// type definitions for flatback
+// yield expressions in a generator all share one type, so results of plain yields are `any`.
+// yield values through `yield* flatback.typed(value)` instead to have their results inferred.
+
+declare const resultType: unique symbol;
+declare const flowResultType: unique symbol;
+
+/**
+ * value created by flatback to be yielded, returning R.
+ */
+export interface Yieldable<R> {
+    readonly [resultType]: R;
+}
+
+/**
+ * anything a flow may yield.
+ */
+export type YieldValue =
+    | Yieldable<any>
+    | {readonly [flowResultType]: any}
+    | undefined
+    | void
+    | PromiseLike<any>
+    | Generator<any, any, any>
+    | ((...callbacks: Array<(...args: any[]) => void>) => any)
+    | readonly YieldValue[]
+    | {readonly [key: string]: YieldValue};
+
+/**
+ * arguments a callback is called with, as a tuple.
+ */
+export type CallbackArgs<C> = C extends (...args: infer A) => any ? A : unknown[];
+
+/**
+ * what yielding a value of type T returns:
+ * - promises their resolved value, nested flows and generators what they return
+ * - functions with one callback a tuple of the callback's arguments, with several a tuple of such tuples
+ * - functions with no callbacks are called synchronously and return an empty array, as does undefined
+ * - arrays and plain objects the result of each element
+ */
+export type YieldResult<T> =
+    T extends Yieldable<infer R> ? R :
+    T extends {readonly [flowResultType]: infer R} ? R :
+    T extends undefined | void ? [] :
+    T extends PromiseLike<infer R> ? R :
+    T extends Generator<any, infer R, any> ? R :
+    T extends (...args: any[]) => Generator<any, infer R, any> ? R :
+    T extends () => any ? [] :
+    T extends (callback: infer C) => any ? CallbackArgs<C> :
+    T extends (callback1: infer C1, callback2: infer C2) => any ? [CallbackArgs<C1>, CallbackArgs<C2>] :
+    T extends (callback1: infer C1, callback2: infer C2, callback3: infer C3) => any ?
+        [CallbackArgs<C1>, CallbackArgs<C2>, CallbackArgs<C3>] :
+    T extends (...callbacks: any[]) => any ? unknown[][] :
+    T extends readonly unknown[] ? {-readonly [K in keyof T]: YieldResult<T[K]>} :
+    T extends object ? {-readonly [K in keyof T]: YieldResult<T[K]>} :
+    never;
+
+type Tail<A> = A extends readonly [any, ...infer Rest] ? Rest : A extends readonly (infer E)[] ? E[] : never;
+
+/**
+ * what yielding a value of type T in strict mode returns: the error argument of each callback is thrown instead.
+ */
+export type StrictResult<T> =
+    T extends Yieldable<any> | {readonly [flowResultType]: any} | undefined | void | PromiseLike<any> | Generator<any, any, any> ?
+        YieldResult<T> :
+    T extends (...args: any[]) => Generator<any, any, any> ? YieldResult<T> :
+    T extends () => any ? [] :
+    T extends (callback: infer C) => any ? Tail<CallbackArgs<C>> :
+    T extends (callback1: infer C1, callback2: infer C2) => any ? [Tail<CallbackArgs<C1>>, Tail<CallbackArgs<C2>>] :
+    T extends (callback1: infer C1, callback2: infer C2, callback3: infer C3) => any ?
+        [Tail<CallbackArgs<C1>>, Tail<CallbackArgs<C2>>, Tail<CallbackArgs<C3>>] :
+    T extends (...callbacks: any[]) => any ? unknown[][] :
+    T extends readonly unknown[] ? {-readonly [K in keyof T]: StrictResult<T[K]>} :
+    T extends object ? {-readonly [K in keyof T]: StrictResult<T[K]>} :
+    never;
+
+/**
+ * generator describing a flow, returning R.
+ */
+export type Flow<R = any> = Generator<unknown, R, any>;
+
+/**
+ * function with a length property typed from its parameters, as the wrappers keep the length of the functions they wrap.
+ */
+export type WithLength<F, L extends number> = F & {readonly length: L};
+
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    readonly reason?: any;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+export interface FlowOptions {
+    name?: string;
+    debug?: boolean;
+    signal?: AbortSignalLike;
+    timeout?: number;
+    strict?: boolean;
+    onError?: (exception: any) => void;
+}
+
+export interface FlowHandle {
+    cancel(reason?: Error): void;
+}
+
+export type CancellablePromise<R> = Promise<R> & FlowHandle;
+
+export interface AsyncFlowFunction<A extends unknown[], R> {
+    (...args: A): CancellablePromise<R>;
+    readonly length: A['length'];
+    readonly [flowResultType]: R;
+}
+
+export function func<A extends unknown[]>(genFunction: (...args: A) => Flow, options?: FlowOptions):
+    WithLength<(...args: A) => FlowHandle, A['length']>;
+export function exec(genFunction: () => Flow, options?: FlowOptions): FlowHandle;
+export function once<const T>(
+    value: T,
+    resolvedCallback: SpreadCallback<YieldResult<T>>,
+    rejectedCallback?: (exception: any) => void
+): void;
+export function async<A extends unknown[], R>(genFunction: (...args: A) => Flow<R>, options?: FlowOptions): AsyncFlowFunction<A, R>;
+export function callbackify<A extends unknown[], R>(genFunction: (...args: A) => Flow<R>, options?: FlowOptions):
+    WithLength<(...args: [...A, (exception: any, result?: R) => void]) => FlowHandle, [...A, unknown]['length']>;
+export function promisify<A extends unknown[], C extends (exception: any, ...results: any[]) => void>(fn: (...args: [...A, C]) => any):
+    WithLength<(...args: A) => Promise<PromisifyResult<Tail<CallbackArgs<C>>>>, A['length']>;
+
+type SpreadCallback<R> = R extends readonly unknown[] ? (...results: R) => void : never;
+type PromisifyResult<Results> = Results extends [] ? undefined : Results extends [infer Only] ? Only : Results;
+
+/**
+ * yield a value so TypeScript infers its result: `const [error, thing] = yield* flatback.typed(value)`.
+ */
+export function typed<const T extends YieldValue>(value: T): Generator<T, YieldResult<T>, any>;
+
+export function timeout<const T extends YieldValue>(ms: number, value: T): Yieldable<YieldResult<T>>;
+export function limit<const T extends YieldValue>(concurrency: number, values: Iterable<T>): Yieldable<YieldResult<T>[]>;
+
+export type SettledResult<R> = {status: 'fulfilled', value: R} | {status: 'rejected', reason: any};
+
+export function allSettled<const T extends readonly YieldValue[]>(values: T):
+    Yieldable<{-readonly [K in keyof T]: SettledResult<YieldResult<T[K]>>}>;
+export function race<const T extends readonly YieldValue[]>(values: T): Yieldable<YieldResult<T[number]>>;
+export function any<const T extends readonly YieldValue[]>(values: T): Yieldable<YieldResult<T[number]>>;
+
+export interface Stepper<T> {
+    next(): Yieldable<{done: boolean, value: T}>;
+    return(): Yieldable<{done: boolean, value: T}>;
+}
+
+export function iterate<T>(source: AsyncIterable<T> | Iterable<T> | Iterator<T>): Stepper<T>;
+
+export interface RetryOptions {
+    attempts?: number;
+    delay?: number;
+    factor?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+    retryIf?: (exception: any, result: any, attempt: number) => boolean;
+}
+
+export function retry<const T extends YieldValue>(options: RetryOptions, thunkFactory: (attempt: number) => T):
+    Yieldable<YieldResult<T>>;
+export function strict<const T extends YieldValue>(value: T): Yieldable<StrictResult<T>>;
+
+export interface MemoOptions<A extends unknown[]> {
+    key?: (...args: A) => unknown;
+    ttl?: number;
+    maxSize?: number;
+    cacheFailures?: boolean;
+}
+
+export interface Memoized<A extends unknown[], R> {
+    (...args: A): Yieldable<R>;
+    readonly length: A['length'];
+    clear(): void;
+}
+
+export function memo<A extends unknown[], C extends (...args: any[]) => void>(fn: (...args: [...A, C]) => any, options?: MemoOptions<A>):
+    Memoized<A, CallbackArgs<C>>;
+
+export interface BatcherOptions {
+    maxBatchSize?: number;
+    window?: number;
+}
+
+export function batcher<K, V>(
+    batchFn: (keys: K[], callback: (exception: any, results?: Array<V | Error>) => void) => any,
+    options?: BatcherOptions
+): (key: K) => Yieldable<[error: any, result?: V]>;
+
+export function on(eventName: 'unhandledError', listener: (exception: any) => void): typeof import('./index');
+export function on(eventName: string, listener: (...args: any[]) => void): typeof import('./index');
+export function off(eventName: string, listener: (...args: any[]) => void): typeof import('./index');
+export function debug(enabled?: boolean): typeof import('./index');
+
+export interface FlowEvent {
+    flow: string;
+    flowId: number;
+}
+
+export interface InstrumentHooks {
+    onFlowStart?(event: FlowEvent & {parentFlowId: number | null, parentYieldIndex: number | null, startTime: number}): void;
+    onYield?(event: FlowEvent & {yieldIndex: number, waitingOn: string, startTime: number}): void;
+    onResolve?(event: YieldEndEvent): void;
+    onReject?(event: YieldEndEvent): void;
+    onFlowEnd?(event: FlowEvent & {
+        yieldCount: number, startTime: number, endTime: number, duration: number, error: any, cancelled: boolean,
+    }): void;
+}
+
+export interface YieldEndEvent extends FlowEvent {
+    yieldIndex: number;
+    startTime: number;
+    endTime: number;
+    duration: number;
+    callbackCount: number;
+    elementDurations: number[] | null;
+    error: any;
+}
+
+export interface Span {
+    traceId: string;
+    spanId: string;
+    parentSpanId: string | null;
+    name: string;
+    kind: string;
+    startTime: number;
+    endTime: number | null;
+    duration: number | null;
+    attributes: {[key: string]: unknown};
+    status: {code: 'UNSET' | 'OK' | 'ERROR', message?: string};
+}
+
+export interface SpanExporter {
+    export(spans: Span[], resultCallback: (result: {code: number, error?: any}) => void): void;
+}
+
+export function instrument(hooks: InstrumentHooks): () => void;
+export function spanHooks(exporter: SpanExporter): InstrumentHooks;
+export function memoryExporter(): SpanExporter & {spans: Span[], reset(): void};
+export function fileExporter(path: string): SpanExporter & {shutdown(callback?: () => void): void};
+
+export interface PendingFlow {
+    flow: string;
+    flowId: number;
+    parentFlowId: number | null;
+    yieldIndex: number;
+    waitingOn: string | null;
+    waitingFor: number | null;
+    outstandingCallbacks: Array<{function: string, callbackIndexes: number[]}>;
+}
+
+export interface DiagnosticsOptions {
+    multipleCalls?: 'warn' | 'throw' | 'ignore' | ((info: {
+        flow: string | null, flowId: number | null, yieldIndex: number | null,
+        function: string, callbackIndex: number, discardedArgs: unknown[],
+    }) => void);
+    stallTimeout?: number;
+    onStall?: (details: PendingFlow) => void;
+}
+
+export function diagnostics(options?: DiagnosticsOptions | boolean): typeof import('./index');
+export function pending(): PendingFlow[];
+
+export const context: {
+    get(key: unknown): any;
+    set(key: unknown, value: unknown): void;
+    useAsyncStorage(): unknown;
+    readonly storage: unknown;
+};
+
+export interface Scheduler {
+    resume(fn: () => void): void;
+    yieldTurn(fn: () => void): void;
+    setTimer(fn: () => void, ms: number): unknown;
+    clearTimer(timer: any): void;
+    now(): number;
+}
+
+export function setScheduler(strategy: 'microtask' | 'immediate' | 'timeout' | Partial<Scheduler>): typeof import('./index');
+export function getScheduler(): Scheduler;
+
+export const CLOSED: unique symbol;
+
+export interface ChannelOp<R> extends Yieldable<R> {}
+
+export interface Channel<T> {
+    put(value: T): ChannelOp<undefined>;
+    take(): ChannelOp<T | typeof CLOSED>;
+    close(): void;
+    drained(): Yieldable<undefined>;
+    readonly closed: boolean;
+    readonly length: number;
+    readonly waiting: {takes: number, puts: number};
+}
+
+export function channel<T = any>(bufferSize?: number): Channel<T>;
+export function select<const T extends readonly ChannelOp<any>[]>(ops: T):
+    Yieldable<{index: number, value: T[number] extends ChannelOp<infer R> ? R : never}>;
+
+export interface WaitOptions {
+    timeout?: number;
+}
+
+export class Semaphore {
+    constructor(permits: number);
+    acquire(options?: WaitOptions): Yieldable<() => void>;
+    hold(options?: WaitOptions): Yieldable<() => void>;
+    createRelease(): () => void;
+}
+
+export class Mutex extends Semaphore {
+    constructor();
+    lock(options?: WaitOptions): Yieldable<() => void>;
+    readonly locked: boolean;
+}
+
+export class Event<T = any> {
+    constructor();
+    set(value?: T): void;
+    wait(options?: WaitOptions): Yieldable<T>;
+}
+
+export class Barrier {
+    constructor(parties: number);
+    wait(options?: WaitOptions): Yieldable<number>;
+}
+
+export interface EmitterLike {
+    on(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+    removeListener(eventName: string | symbol, listener: (...args: any[]) => void): unknown;
+}
+
+export function event(emitter: EmitterLike, eventName: string | symbol, options?: {rejectOn?: string | string[]}): Yieldable<any[]>;
+export function readStream(readable: AsyncIterable<any> | object): Stepper<any>;
+export function pipeline(streams: readonly object[]): Yieldable<undefined>;
+export function pipeline(...streams: object[]): Yieldable<undefined>;
+
+export interface ChildHandle<R> extends FlowHandle {
+    join(): Yieldable<R>;
+}
+
+export interface ScopeHandle {
+    spawn<A extends unknown[], R>(genFunction: (...args: A) => Flow<R>, ...args: A): ChildHandle<R>;
+}
+
+export interface ScopeOptions {
+    strategy?: 'escalate' | 'one-for-one';
+    maxRestarts?: number;
+    period?: number;
+    onRestart?: (info: {flow: string, error: any, restarts: number}) => void;
+}
+
+export function scope<R>(genFunction: (scope: ScopeHandle) => Flow<R>, options?: ScopeOptions): Yieldable<R>;
+
+export interface CheckpointEntry {
+    index: number;
+    value: unknown;
+}
+
+export interface CheckpointStore {
+    load(flowId: string, callback: (exception: any, saved?: {checkpoints: {[name: string]: CheckpointEntry}} | null) => void): void;
+    save(flowId: string, name: string, entry: CheckpointEntry, callback: (exception: any) => void): void;
+    clear(flowId: string, callback: (exception: any) => void): void;
+}
+
+export interface DurableOptions extends FlowOptions {
+    store: CheckpointStore;
+    onNondeterministic?: (info: {flow: string, flowId: string, reason: string, checkpoint?: string, yieldIndex?: number}) => void;
+}
+
+export function durable<A extends unknown[], R>(genFunction: (...args: A) => Flow<R>, options: DurableOptions):
+    WithLength<(flowId: string, ...args: A) => CancellablePromise<R>, [unknown, ...A]['length']>;
+export function checkpoint<const T extends YieldValue>(name: string, value: T): Yieldable<YieldResult<T>>;
+export function memoryStore(): CheckpointStore;
+export function fileStore(directory: string): CheckpointStore;
+
+export class CancelError extends Error {
+    constructor(message?: string);
+}
+
+export class TimeoutError extends Error {
+    constructor(ms: number);
+    timeout: number;
+}
+
+export class AggregateError extends Error {
+    constructor(errors: Iterable<any>, message?: string);
+    errors: any[];
+}
+
+export class ChannelClosedError extends Error {
+    constructor();
+}
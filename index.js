@@ -1,14 +1,131 @@
 "use strict";
 
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const stream = require('stream');
+
+const emitter = new EventEmitter(); // global hooks, see on & off
+let debugEnabled = false; // see debug
+const instruments = []; // hooks added by instrument
+let flowCount = 0;
+let diagnosticsOptions = null; // see diagnostics
+const liveFlows = new Set(); // flows started in diagnostics mode, see pending
+let currentFlow = null; // flow whose step is running, see runInFlow
+let storage = null; // shares flow contexts with other code once enabled, see context.useAsyncStorage
+
+/**
+ * create the AsyncLocalStorage flow contexts are shared through, async_hooks only exists from node 8.1.
+ * @returns {Object} - AsyncLocalStorage, null where it is not available
+ */
+function createStorage(){
+  let asyncHooks;
+  try {
+    asyncHooks = require('async_hooks');
+  } catch(err){
+    return null;
+  }
+  return asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+}
+
+/**
+ * built in scheduling strategies, see setScheduler.
+ * resume continues a flow once a promise settles, yieldTurn continues it after `yield;` or an empty array,
+ * setTimer & clearTimer time flatback.timeout, flatback.retry & similar and now gives the time in ms.
+ * every strategy calls back outside of the promise, so exceptions are never swallowed by it.
+ */
+const schedulers = {
+  microtask: {
+    resume: typeof queueMicrotask == 'function' ? queueMicrotask : process.nextTick,
+    yieldTurn: setImmediate,
+  },
+  immediate: {
+    resume: setImmediate,
+    yieldTurn: setImmediate,
+  },
+  timeout: { // every resumption waits for a timer, as flatback originally did
+    resume: fn => setTimeout(fn, 0),
+    yieldTurn: fn => setTimeout(fn, 0),
+  },
+};
+const timers = {
+  setTimer: (fn, ms) => setTimeout(fn, ms),
+  clearTimer: timer => clearTimeout(timer),
+  now: () => Date.now(),
+};
+let scheduler = Object.assign({}, timers, schedulers.microtask);
+
+/**
+ * error used to settle a flow that was cancelled before it could finish.
+ * @param {string} [message] - description of why the flow was cancelled
+ */
+class CancelError extends Error {
+  constructor(message){
+    super(message || 'flatback flow was cancelled');
+    this.name = 'CancelError';
+  }
+}
+
+/**
+ * error thrown in to the generator when a yield or flow takes longer than allowed.
+ * @param {number} ms - the time limit that was exceeded
+ */
+class TimeoutError extends Error {
+  constructor(ms){
+    super(`flatback timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = ms;
+  }
+}
+
+/**
+ * error thrown in to a generator putting a value on a closed channel.
+ */
+class ChannelClosedError extends Error {
+  constructor(){
+    super('flatback channel is closed');
+    this.name = 'ChannelClosedError';
+  }
+}
+
+/**
+ * error combining several others, the native AggregateError is used where available.
+ * @param {error[]} errors - the errors being combined
+ * @param {string} [message] - description of the failure
+ */
+const AggregateError = global.AggregateError || class AggregateError extends Error {
+  constructor(errors, message){
+    super(message);
+    this.name = 'AggregateError';
+    this.errors = Array.from(errors);
+  }
+};
+
+const yieldableSymbol = Symbol('flatback.yieldable');
+const descriptionSymbol = Symbol('flatback.description');
+const subFlowSymbol = Symbol('flatback.subFlow');
+const channelOpSymbol = Symbol('flatback.channelOp');
+const checkpointSymbol = Symbol('flatback.checkpoint');
+const callbackResultSymbol = Symbol('flatback.callbackResult'); // yieldables returning a callback's arguments, error first
+const CLOSED = Symbol('flatback.CLOSED'); // taken from a channel once it is closed and empty
+
 /**
  * return a function from the supplied generator function.
  * @param {GeneratorFunction} genFunction - describes control flow
- * @returns {Function} - executable function that always returns undefined
+ * @param {Object} [options] - flow options, see createFlow
+ * @returns {Function} - executable function that returns a handle with a cancel method
  */
-function func(genFunction){
+function func(genFunction, options){
   function exec(){
-    const gen = genFunction.apply(null, Array.from(arguments));
-    step(gen);
+    const flow = createFlow(genFunction, Array.from(arguments), options, (err) => {
+      if (err && err !== flow.cancelled){
+        reportError(err, flow);
+      }
+    });
+    step(flow);
+    return {cancel: reason => cancelFlow(flow, reason)};
   }
   return Object.defineProperty(exec, "length", {value: genFunction.length});
 }
@@ -16,11 +133,11 @@ function func(genFunction){
 /**
  * immediately execute the supplied generator function.
  * @param {GeneratorFunction} genFunction - describes control flow
- * @returns {undefined}
+ * @param {Object} [options] - flow options, see createFlow
+ * @returns {Object} - handle with a cancel method
  */
-function exec(genFunction){
-  const gen = genFunction();
-  step(gen);
+function exec(genFunction, options){
+  return func(genFunction, options)();
 }
 
 /**
@@ -33,93 +150,675 @@ function exec(genFunction){
  */
 function once(value, resolvedCallback, rejectedCallback){
   getNextResult(value, (err, result) => {
-    if (err){
-      if (!rejectedCallback){
-        throw err;
-      }
-      return rejectedCallback(err);
+    if (err && !rejectedCallback){
+      return reportError(err, null);
     }
-    return resolvedCallback.apply(null, result);
-  });
+    try {
+      return err ? rejectedCallback(err) : resolvedCallback.apply(null, result);
+    } catch(callbackErr){
+      return reportError(callbackErr, null);
+    }
+  }, createScope(null));
 }
 
 /**
  * return an async function from the supplied generator function
  * this function will return a promise that resolves to the value returned by the supplied generator function.
- * uses own version of step function with a reference to the enclosing promise.
+ * the promise is given a cancel method to stop the flow early.
  * @param {GeneratorFunction} genFunction - describes control flow
+ * @param {Object} [options] - flow options, see createFlow
  * @returns {Function} - executable function that always returns a promise
  */
-function async(genFunction){
+function async(genFunction, options){
   function execAsync(){
-    const gen = genFunction.apply(null, Array.from(arguments));
-    
+    const args = Array.from(arguments);
+    let flow;
+    const promise = new Promise((resolve, reject) => {
+      flow = createFlow(genFunction, args, options, (err, result) => err ? reject(err) : resolve(result));
+    });
+    promise.cancel = reason => cancelFlow(flow, reason);
+    step(flow);
+    return promise;
+  }
+  execAsync[subFlowSymbol] = {genFunction: genFunction, options: options}; // yielding execAsync runs a nested flow
+  return Object.defineProperty(execAsync, "length", {value: genFunction.length});
+}
+
+/**
+ * return a function taking a node style callback as its last argument from the supplied generator function.
+ * the callback is called with the exception or value the generator function ends with, always asynchronously.
+ * @param {GeneratorFunction} genFunction - describes control flow
+ * @param {Object} [options] - flow options, see createFlow
+ * @returns {Function} - executable function that returns a handle with a cancel method
+ */
+function callbackify(genFunction, options){
+  function execCallback(){
+    const args = Array.from(arguments);
+    const callback = args.pop();
+    let starting = true;
+    const flow = createFlow(genFunction, args, options, (err, result) => {
+      const settle = () => err ? callback(err) : callback(null, result);
+      if (starting){ // finished without waiting, but node style callbacks are always called asynchronously
+        return scheduler.resume(settle);
+      }
+      settle();
+    });
+    step(flow);
+    starting = false;
+    return {cancel: reason => cancelFlow(flow, reason)};
+  }
+  return Object.defineProperty(execCallback, "length", {value: genFunction.length + 1});
+}
+
+/**
+ * return a function that returns a promise from one taking a node style callback as its last argument.
+ * as with yielded functions, only the first call to the callback is used.
+ * the promise rejects with the error passed to the callback, otherwise resolves with the value,
+ * or an array of values if the callback was passed more than one.
+ * @param {Function} fn - function taking a callback after any other arguments
+ * @returns {Function} - executable function that always returns a promise
+ */
+function promisify(fn){
+  function execPromise(){
+    const self = this;
+    const args = Array.from(arguments);
+    const scope = createScope(null);
+    scope.strict = true;
     return new Promise((resolve, reject) => {
-      function stepAsync(gen, err, result){
-        let next;
-        try {
-          if (err){
-            next = gen.throw(err);
-          } else {
-            next = gen.next(result);
-          }
-        } catch(err){
+      handleFunction(callback => fn.apply(self, args.concat(callback)), (err, result) => {
+        if (err){
           return reject(err);
         }
-        if (!next.done){
-          return getNextResult(next.value, (err, result) => stepAsync(gen, err, result));
-        } else {
-          return resolve(next.value);
-        }
-      }
-      
-      stepAsync(gen);
+        resolve(result.length > 1 ? result : result[0]);
+      }, scope);
     });
   }
-  return Object.defineProperty(execAsync, "length", {value: genFunction.length});
+  return Object.defineProperty(execPromise, "length", {value: Math.max(fn.length - 1, 0)});
 }
 
 /**
- * one (recursive) step of generator logic, handling exceptions and iterator termination.
- * @param {GeneratorFunction} gen - contains control flow
- * @param {error} err - js exception caught from previous step to throw in to generator
- * @param {array} result - result from previous iteration to pass in to generator (if no err)
+ * create the state shared by every step of one run of a generator.
+ * @param {GeneratorFunction} genFunction - describes control flow
+ * @param {Array} args - arguments to create the generator with
+ * @param {Object} [options] - flow options
+ * @param {string} [options.name] - name for debugging, defaults to the name of genFunction
+ * @param {boolean} [options.debug] - record yields for flatbackTrace, defaults to the setting from flatback.debug
+ * flows started while any instrument hooks are installed fire them, see instrument
+ * @param {Object} [options.signal] - AbortSignal-like object, cancels the flow when it aborts
+ * @param {number} [options.timeout] - deadline in ms, a TimeoutError is then thrown in to the generator at its pending yield
+ * @param {boolean} [options.strict] - treat the first argument of every callback as an error to throw, see handleFunction
+ * @param {Function} [options.onError] - collects exceptions nothing else handles, see reportError
+ * @param {Function} done - called once with (err, returnValue) when the generator finishes
+ * @param {Object} [parent] - flow state of the enclosing flow if this is a nested flow
+ * @returns {Object} - flow state
+ */
+function createFlow(genFunction, args, options, done, parent){
+  options = options || {};
+  const gen = genFunction.apply(null, args);
+  const flow = {
+    id: ++ flowCount,
+    gen: gen,
+    options: options,
+    name: options.name || genFunction.name || 'anonymous',
+    parent: parent || null,
+    context: {values: new Map(), parent: parent ? parent.context : currentContext()},
+    yieldCount: 0,
+    debug: options.debug != null ? options.debug : debugEnabled || Boolean(parent && parent.debug),
+    waitingOn: null, // description of the pending yield, only kept in debug mode
+    startedAt: null,
+    instrumented: instruments.length > 0,
+    diagnosed: diagnosticsOptions != null,
+    startTime: 0,
+    yieldStartTime: 0,
+    running: false,
+    stepping: false,
+    resumeWith: null, // result passed to step synchronously from inside a step, see step
+    finished: false,
+    returned: false,
+    cancelled: null,
+    scope: null,
+    finalizers: [], // called before done, whichever way the flow finishes
+    durable: null, // replay state, set by durable
+    done: done,
+  };
+  if (flow.debug){
+    flow.startedAt = callSite(new Error().stack);
+  }
+  if (flow.diagnosed){
+    liveFlows.add(flow);
+  }
+  if (flow.instrumented){
+    flow.startTime = now();
+    fireHook('onFlowStart', flow, {
+      parentFlowId: parent ? parent.id : null,
+      parentYieldIndex: parent ? parent.yieldCount : null,
+      startTime: flow.startTime,
+    });
+  }
+
+  const signal = options.signal;
+  if (signal){
+    const abortError = () => { // the signal's reason, e.g. a DOMException from AbortController, is kept as the cause
+      const err = new CancelError();
+      if (signal.reason !== undefined){
+        err.cause = signal.reason;
+      }
+      return err;
+    };
+    const onAbort = () => cancelFlow(flow, abortError());
+    if (signal.aborted){
+      flow.cancelled = abortError();
+    } else {
+      signal.addEventListener('abort', onAbort);
+      flow.finalizers.push(() => signal.removeEventListener('abort', onAbort));
+    }
+  }
+
+  if (options.timeout != null){
+    const timer = scheduler.setTimer(() => interruptFlow(flow, new TimeoutError(options.timeout)), options.timeout);
+    flow.finalizers.push(() => scheduler.clearTimer(timer));
+  }
+  return flow;
+}
+
+/**
+ * one step of generator logic, handling exceptions and iterator termination.
+ * once a flow is cancelled the generator is returned instead so finally blocks still run.
+ * runs with the flow's context current, including while the next yielded value is started.
+ * if a yielded value completes synchronously, step is called again from inside itself: rather than recursing,
+ * the result is left for the outer call to loop on, keeping the stack flat for long synchronous runs.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} [err] - js exception caught from previous step to throw in to generator
+ * @param {array} [result] - result from previous iteration to pass in to generator (if no err)
+ * @returns {undefined}
+ */
+function step(flow, err, result){
+  if (flow.stepping){
+    flow.resumeWith = {err: err, result: result};
+    return;
+  }
+  flow.stepping = true;
+  try {
+    let resumeWith = {err: err, result: result};
+    while (resumeWith){
+      flow.resumeWith = null;
+      runInFlow(flow, () => stepGenerator(flow, resumeWith.err, resumeWith.result));
+      resumeWith = flow.resumeWith;
+    }
+  } finally {
+    flow.stepping = false;
+  }
+}
+
+/**
+ * make a flow current while calling a function, so flatback.context refers to the flow's context.
+ * once context.useAsyncStorage is called, the context is also the AsyncLocalStorage store for anything started by the function.
+ * @param {Object} flow - state created by createFlow
+ * @param {Function} fn - function to call
+ * @returns {*} - the value returned by fn
+ */
+function runInFlow(flow, fn){
+  const previous = currentFlow;
+  currentFlow = flow;
+  try {
+    return storage ? storage.run(flow.context, fn) : fn();
+  } finally {
+    currentFlow = previous;
+  }
+}
+
+/**
+ * body of step, called by it once the flow is current.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} [err] - js exception caught from previous step to throw in to generator
+ * @param {array} [result] - result from previous iteration to pass in to generator (if no err)
  * @returns {undefined}
  */
-function step(gen, err, result){
+function stepGenerator(flow, err, result){
   let next;
-  if (err){
-    next = gen.throw(err);
-  } else {
-    next = gen.next(result);
+  flow.running = true;
+  try {
+    if (flow.cancelled && !flow.returned){
+      flow.returned = true;
+      next = flow.gen.return();
+    } else if (err){
+      if (flow.debug){
+        addFlatbackTrace(err, flow);
+      }
+      next = flow.gen.throw(err);
+    } else {
+      next = flow.gen.next(result);
+    }
+  } catch(err){
+    flow.running = false;
+    return finish(flow, err);
+  }
+  flow.running = false;
+
+  if (next.done){
+    return finish(flow, flow.cancelled, next.value);
+  }
+  if (flow.cancelled && !flow.returned){ // cancelled from inside the generator
+    return step(flow);
+  }
+  flow.yieldCount ++;
+  if (flow.debug){
+    flow.waitingOn = describeValue(next.value);
+  }
+  if (flow.durable && !(next.value && next.value[checkpointSymbol])){
+    flagNondeterministic(flow, {reason: 'yield is not a checkpoint so runs again on every replay', yieldIndex: flow.yieldCount});
+  }
+  const scope = flow.scope = createScope(flow);
+  if (flow.instrumented){
+    flow.yieldStartTime = now();
+    scope.record = {callbackCount: 0, elementDurations: null};
+    fireHook('onYield', flow, {
+      yieldIndex: flow.yieldCount,
+      waitingOn: describeValue(next.value),
+      startTime: flow.yieldStartTime,
+    });
+  }
+  if (flow.diagnosed){
+    startDiagnosis(flow, scope, next.value);
+  }
+  return getNextResult(next.value, (err, result) => {
+    if (flow.scope === scope){
+      flow.scope = null;
+      if (scope.diagnosis){
+        scheduler.clearTimer(scope.diagnosis.stallTimer);
+      }
+      if (flow.instrumented){
+        endYield(flow, scope, err);
+      }
+      step(flow, err, result);
+    } else if (err){ // results of a yield abandoned by cancelFlow are ignored, exceptions are only reported
+      reportError(err, flow, true);
+    }
+  }, scope);
+}
+
+/**
+ * record what a yield of a flow in diagnostics mode waits on, and start timing it to detect stalls.
+ * @param {Object} flow - state created by createFlow
+ * @param {Object} scope - scope of the yield
+ * @param {*} value - yielded expression
+ * @returns {undefined}
+ */
+function startDiagnosis(flow, scope, value){
+  const diagnosis = scope.diagnosis = {
+    value: value,
+    since: now(),
+    functions: new Set(), // waiting handleFunction calls
+    stallTimer: null,
+  };
+  const stallTimeout = diagnosticsOptions && diagnosticsOptions.stallTimeout;
+  if (stallTimeout != null){
+    diagnosis.stallTimer = scheduler.setTimer(() => {
+      const info = describeFlow(flow);
+      if (diagnosticsOptions && diagnosticsOptions.onStall){
+        diagnosticsOptions.onStall(info);
+      } else {
+        process.emitWarning(`flatback flow ${info.flow} has waited ${info.waitingFor}ms on yield #${info.yieldIndex} of ${info.waitingOn}`, 'FlatbackWarning');
+      }
+    }, stallTimeout);
+    if (diagnosis.stallTimer && diagnosis.stallTimer.unref){ // diagnostics never keep the process alive
+      diagnosis.stallTimer.unref();
+    }
+  }
+}
+
+/**
+ * describe what a live flow is doing, for pending and stall reports.
+ * @param {Object} flow - state created by createFlow
+ * @returns {Object}
+ */
+function describeFlow(flow){
+  const diagnosis = flow.scope && flow.scope.diagnosis;
+  return {
+    flow: flow.name,
+    flowId: flow.id,
+    parentFlowId: flow.parent ? flow.parent.id : null,
+    yieldIndex: flow.yieldCount,
+    waitingOn: diagnosis ? describeValue(diagnosis.value) : null,
+    waitingFor: diagnosis ? now() - diagnosis.since : null,
+    outstandingCallbacks: diagnosis ? Array.from(diagnosis.functions).map(waiting => ({
+      function: describeValue(waiting.valueFunction),
+      callbackIndexes: waiting.waitingFlags.slice(1)
+        .map((waitingFlag, index) => waitingFlag ? index : -1)
+        .filter(index => index != -1),
+    })) : [],
+  };
+}
+
+/**
+ * apply the multipleCalls policy from diagnostics when a callback is called again, its arguments have been discarded.
+ * @param {Object} scope - scope of the yield
+ * @param {Function} valueFunction - the yielded function
+ * @param {number} callbackIndex - which of its callbacks was called, from 0
+ * @param {Array} args - the discarded arguments
+ * @returns {undefined}
+ */
+function reportMultipleCall(scope, valueFunction, callbackIndex, args){
+  const policy = diagnosticsOptions.multipleCalls || 'warn';
+  const flow = scope.flow;
+  const info = {
+    flow: flow ? flow.name : null,
+    flowId: flow ? flow.id : null,
+    yieldIndex: flow ? flow.yieldCount : null,
+    function: describeValue(valueFunction),
+    callbackIndex: callbackIndex,
+    discardedArgs: args,
+  };
+  const message = `callback ${callbackIndex} of a ${info.function}` +
+    (flow ? ` yielded by flow ${info.flow}` : '') +
+    ` was called more than once, discarded arguments: ${util.inspect(args)}`;
+
+  if (typeof policy == 'function'){
+    policy(info);
+  } else if (policy == 'throw'){
+    const err = new Error(message);
+    err.flatbackDiagnostic = info;
+    throw err;
+  } else if (policy == 'warn'){
+    process.emitWarning(message, 'FlatbackWarning');
+  }
+}
+
+/**
+ * fire onResolve or onReject for the pending yield of an instrumented flow.
+ * @param {Object} flow - state created by createFlow
+ * @param {Object} scope - scope of the yield
+ * @param {error} [err] - exception the yield ended with
+ * @returns {undefined}
+ */
+function endYield(flow, scope, err){
+  const endTime = now();
+  fireHook(err ? 'onReject' : 'onResolve', flow, {
+    yieldIndex: flow.yieldCount,
+    startTime: flow.yieldStartTime,
+    endTime: endTime,
+    duration: endTime - flow.yieldStartTime,
+    callbackCount: scope.record.callbackCount,
+    elementDurations: scope.record.elementDurations,
+    error: err || null,
+  });
+}
+
+/**
+ * call a hook on every installed instrument with an event describing the flow.
+ * exceptions from hooks are reported as if late, so they never break the flow.
+ * @param {string} name - name of the hook, e.g. onYield
+ * @param {Object} flow - state created by createFlow
+ * @param {Object} details - properties to add to the event
+ * @returns {undefined}
+ */
+function fireHook(name, flow, details){
+  const event = {flow: flow.name, flowId: flow.id};
+  Object.keys(details).forEach(key => {
+    event[key] = details[key];
+  });
+  instruments.forEach(hooks => {
+    if (hooks[name]){
+      try {
+        hooks[name](event);
+      } catch(err){
+        reportError(err, null, true);
+      }
+    }
+  });
+}
+
+/**
+ * current time in ms according to the scheduler, used for timings.
+ * @returns {number}
+ */
+function now(){
+  return scheduler.now();
+}
+
+/**
+ * route an exception nothing else can handle: to the flow's onError option, else to 'unhandledError' listeners.
+ * with neither, it is thrown as before unless it arrived after the flow had finished.
+ * @param {error} err - exception to report
+ * @param {Object} [flow] - state created by createFlow, null outside of a flow
+ * @param {boolean} [late] - the exception arrived after the flow finished or moved on
+ * @returns {undefined}
+ */
+function reportError(err, flow, late){
+  const onError = flow && flow.options.onError;
+  if (onError){
+    onError(err);
+  } else if (emitter.listenerCount('unhandledError')){
+    emitter.emit('unhandledError', err);
+  } else if (!late){
+    throw err;
+  }
+}
+
+/**
+ * mark a flow as finished and pass its outcome on.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} [err] - uncaught exception or cancellation reason
+ * @param {*} [value] - value returned by the generator
+ * @returns {undefined}
+ */
+function finish(flow, err, value){
+  flow.finished = true;
+  liveFlows.delete(flow);
+  flow.finalizers.forEach(finalizer => finalizer());
+  if (flow.instrumented){
+    const endTime = now();
+    fireHook('onFlowEnd', flow, {
+      yieldCount: flow.yieldCount,
+      startTime: flow.startTime,
+      endTime: endTime,
+      duration: endTime - flow.startTime,
+      error: err || null,
+      cancelled: Boolean(flow.cancelled),
+    });
+  }
+  return flow.done(err, value);
+}
+
+/**
+ * stop a flow: the pending yield is told it was cancelled and the generator is returned.
+ * if called while the generator is running, this happens as soon as it next yields.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} [reason] - error to settle the flow with, defaults to a CancelError
+ * @returns {undefined}
+ */
+function cancelFlow(flow, reason){
+  if (flow.finished || flow.cancelled){
+    return;
+  }
+  flow.cancelled = reason || new CancelError();
+  if (flow.running){
+    return;
+  }
+  abandonYield(flow, flow.cancelled);
+  step(flow);
+}
+
+/**
+ * throw an exception in to a flow at its pending yield, as flatback.timeout does, used for a flow's deadline.
+ * the pending yield is torn down with the exception.  a flow not waiting on a yield is cancelled with it instead.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} err - exception to throw in to the generator
+ * @returns {undefined}
+ */
+function interruptFlow(flow, err){
+  if (flow.finished || flow.cancelled){
+    return;
+  }
+  if (flow.running || !flow.scope){
+    return cancelFlow(flow, err);
+  }
+  abandonYield(flow, err);
+  step(flow, err);
+}
+
+/**
+ * stop waiting on a flow's pending yield, calling its teardowns with the reason, so later results are ignored.
+ * @param {Object} flow - state created by createFlow
+ * @param {error} reason - why the yield was abandoned
+ * @returns {undefined}
+ */
+function abandonYield(flow, reason){
+  const scope = flow.scope;
+  flow.scope = null;
+  if (scope){
+    if (scope.diagnosis){
+      scheduler.clearTimer(scope.diagnosis.stallTimer);
+    }
+    if (flow.instrumented){
+      endYield(flow, scope, reason);
+    }
+    scope.cancel(reason);
+  }
+}
+
+/**
+ * create a scope to collect handlers to call if a pending yield is cancelled.
+ * child scopes are cancelled along with their parent and inherit its strict setting.
+ * @param {Object} [flow] - state created by createFlow, null outside of a flow
+ * @param {Object} [parent] - enclosing scope
+ * @returns {Object} - scope passed down through getNextResult
+ */
+function createScope(flow, parent){
+  let handlers = [];
+  const scope = {
+    flow: flow,
+    cancelled: null,
+    strict: parent ? parent.strict : Boolean(flow && flow.options.strict),
+    record: parent ? parent.record : null, // timings for instrument hooks, set by step for instrumented flows
+    diagnosis: parent ? parent.diagnosis : null, // what the yield waits on, set by step in diagnostics mode
+
+    /**
+     * register a handler to call with the reason if this scope is cancelled.
+     * @param {Function} handler - teardown function
+     * @returns {Function} - removes the handler again
+     */
+    onCancel(handler){
+      if (scope.cancelled){
+        handler(scope.cancelled);
+        return () => {};
+      }
+      handlers.push(handler);
+      return () => {
+        handlers = handlers.filter(other => other !== handler);
+      };
+    },
+
+    /**
+     * call all registered handlers once.
+     * @param {error} reason - why the scope was cancelled
+     * @returns {undefined}
+     */
+    cancel(reason){
+      if (scope.cancelled){
+        return;
+      }
+      scope.cancelled = reason || new CancelError();
+      const toCall = handlers;
+      handlers = [];
+      toCall.forEach(handler => handler(scope.cancelled));
+    },
+  };
+  scope.detach = parent ? parent.onCancel(reason => scope.cancel(reason)) : () => {};
+  return scope;
+}
+
+/**
+ * add a flatbackTrace property to an exception about to be thrown in to a generator, and extend its stack to match.
+ * the trace names the yield that failed and those its enclosing flows are waiting on, innermost first.
+ * exceptions passing up through nested flows keep the trace from where they were first thrown in.
+ * @param {error} err - exception to annotate
+ * @param {Object} flow - state created by createFlow
+ * @returns {undefined}
+ */
+function addFlatbackTrace(err, flow){
+  if (!err || typeof err != 'object' || err.flatbackTrace){
+    return;
+  }
+  const trace = [];
+  for (let current = flow; current; current = current.parent){
+    trace.push({
+      flow: current.name,
+      yieldIndex: current.yieldCount,
+      waitingOn: current.waitingOn,
+      startedAt: current.startedAt,
+    });
   }
-  
-  if (!next.done){
-    return getNextResult(next.value, (err, result) => step(gen, err, result));
+  try {
+    err.flatbackTrace = trace;
+    err.stack += trace.map(frame =>
+      `\n    at yield #${frame.yieldIndex} of ${frame.waitingOn} in flow ${frame.flow}` +
+      (frame.startedAt ? ` started ${frame.startedAt}` : '')
+    ).join('');
+  } catch(_){ // frozen or otherwise read only exceptions are left alone
+  }
+}
+
+/**
+ * find the first frame in a stack trace outside of flatback.
+ * @param {string} stack - stack trace
+ * @returns {string} - the frame, e.g. 'at foo (/path/to/file.js:1:2)'
+ */
+function callSite(stack){
+  const frames = String(stack).split('\n').slice(1).map(line => line.trim());
+  return frames.find(frame => frame.indexOf(__filename) == -1) || frames[frames.length - 1] || null;
+}
+
+/**
+ * short description of a yielded value for debugging.
+ * @param {*} value - yielded expression
+ * @returns {string}
+ */
+function describeValue(value){
+  if (value && value[yieldableSymbol]){
+    return value[descriptionSymbol] || 'flatback yieldable';
+  }
+  const classString = Object.prototype.toString.call(value).slice(8, -1);
+  if (classString == 'Function'){
+    return value[subFlowSymbol] ? `flatback.async ${value[subFlowSymbol].genFunction.name || 'function'}` :
+      `function with ${value.length} callback${value.length == 1 ? '' : 's'}`;
+  } else if (classString == 'Array'){
+    return `array of ${value.length}`;
   }
+  return classString.toLowerCase();
 }
 
 /**
  * decide how to handle yielded value, evaluating trivial cases more efficiently and creating errors for unsupported types
- * arrays and functions may be passed to handleArray or handleFunction.
- * @param {(Function|Promise|undefined|(Function|Promise|undefined)[])} value - yielded expression
+ * arrays, plain objects and functions may be passed to handleArray, handleObject or handleFunction.
+ * @param {(Function|Promise|undefined|Array|Object)} value - yielded expression
  * @param {Function} callback - function to collect the result of value (err is only ever synchronous exceptions)
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
  * @returns {undefined}
  */
-function getNextResult(value, callback){
+function getNextResult(value, callback, scope){
+  if (value && value[yieldableSymbol]){ // created by createYieldable, e.g. flatback.timeout
+    return handleYieldable(value, callback, scope);
+  }
+
   const classString = Object.prototype.toString.call(value).slice(8, -1);
-  if (classString == 'Undefined'){
-    setTimeout(() => callback( null, []), 0);
+  if (classString == 'Undefined'){ // give way to other work, e.g. I/O
+    scheduler.yieldTurn(() => callback( null, []));
 
   } else if (classString == 'Array'){
     if (!value.length){  // treat as undefined
-      setTimeout(() => callback( null, []), 0);
+      scheduler.yieldTurn(() => callback( null, []));
     } else {
-      return handleArray(value, callback);
+      return handleArray(value, callback, scope);
     }
 
+  } else if (classString == 'GeneratorFunction'){
+    return handleSubFlow(value, null, callback, scope);
+
   } else if (classString == 'Function'){
-    if (!value.length){ // return control to generator immediately after execution
+    if (value[subFlowSymbol]){ // created by flatback.async
+      return handleSubFlow(value[subFlowSymbol].genFunction, value[subFlowSymbol].options, callback, scope);
+    } else if (!value.length){ // return control to generator immediately after execution
       try {
         value();
       } catch(err){
@@ -127,21 +826,35 @@ function getNextResult(value, callback){
       }
       return callback(null, []);
     } else {
-      return handleFunction(value, callback);
+      return handleFunction(value, callback, scope);
     }
  
-  } else if (classString == 'Promise'){
-    value.then( // resolve & return control to generator, callback not called inside a promise
-      result => setTimeout(() => {
-        callback(null, result);
-      }, 0),
-      err => setTimeout(() => {
-        callback(err);
-      }, 0)
-    )
+  } else if (isThenable(value)){ // native, subclassed, cross-realm and library promises alike
+    try {
+      value.then( // resolve & return control to generator, callback not called inside a promise
+        result => scheduler.resume(() => {
+          callback(null, result);
+        }),
+        err => scheduler.resume(() => {
+          callback(err);
+        })
+      );
+    } catch(err){
+      return callback(err);
+    }
+
+  } else if (isGenerator(value)){
+    return handleSubFlow(() => value, null, callback, scope);
+
+  } else if (classString == 'Object' && isPlainObject(value)){
+    if (!Object.keys(value).length){ // treat as undefined
+      scheduler.yieldTurn(() => callback( null, {}));
+    } else {
+      return handleObject(value, callback, scope);
+    }
     
   } else {
-    return callback(new TypeError(`You may only yield a function, promise, undefined or an array of these to flatback.  Recieved ${classString}: ${String(value)}`));
+    return callback(new TypeError(`You may only yield a function, promise, undefined or an array or plain object of these to flatback.  Recieved ${classString}: ${String(value)}`));
   }
 }
 
@@ -151,15 +864,24 @@ function getNextResult(value, callback){
  * does not need to handle empty arrays, these are caught by getNextResult.
  * @param {(Function|Function[]|undefined)[]} valueArray - array of values to evaluate
  * @param {Function} callback - function to pass all results to, or an exception if thrown synchronously
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
  * @returns {undefined}
  */
- function handleArray(valueArray, callback){
+ function handleArray(valueArray, callback, scope){
   let waitingCount = valueArray.length;
   const results = new Array(waitingCount);
   let firstErr = null;
+  let elementDurations = null;
+  if (scope.record && !scope.record.elementDurations){ // time the elements of the outermost array
+    elementDurations = scope.record.elementDurations = new Array(waitingCount).fill(null);
+  }
   valueArray.forEach((value, index)=> {
     if (!firstErr){// if error occurs synchronously, cease execution
+      const startTime = elementDurations ? now() : 0;
       getNextResult(value, (err, result) => {
+        if (elementDurations){
+          elementDurations[index] = now() - startTime;
+        }
         if (!firstErr && err) {
           firstErr = err;
           return callback(firstErr);
@@ -170,43 +892,142 @@ function getNextResult(value, callback){
             callback(null, results);
           }
         }
-      });
+      }, scope);
     }
   });
 }
 
 /**
- * execute given function with one or more callbacks.
- * After function completes and all it's callbacks are called, control is passed back to the main callback.
- * @param {Function} valueFunction - function to collect all arguments passed to callbacks from
+ * evaluates the values of a plain object as handleArray would, passing on an object with the same keys holding each result.
+ * does not need to handle empty objects, these are caught by getNextResult.
+ * @param {Object} valueObject - object whose own enumerable values are to be evaluated
  * @param {Function} callback - function to pass all results to, or an exception if thrown synchronously
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
  * @returns {undefined}
  */
- function handleFunction(valueFunction, callback){
-  let waitingCount = valueFunction.length + 1;
-  const waitingFlags = new Array(waitingCount).fill(true);
-  const results = new Array(waitingCount);
-  const finishedChecks = new Array(waitingCount)
-    .fill('')
-    .map((_, index) =>
-    
-      /**
-       * update waitingFlags & results then if all finishedChecks have been executed, 
-       * pass to main callback the first result each received, formatted according to valueFunction.length
-       * returned value from valueFunction is discarded (results[0])
-       */
-      function (){
-        if (waitingFlags[index]){
-          waitingFlags[index] = false;
-          results[index] = Array.from(arguments);
-          waitingCount --;
-          if (!waitingCount){
-            if (valueFunction.length == 1){ // f(callback) => [foo, bar, ...]
-              return callback(null, results[1]);
-            } else {  // f(callback1, callback2, ...) => [[foo1, bar1, ...], [foo2, bar2, ...], ...]
+function handleObject(valueObject, callback, scope){
+  const keys = Object.keys(valueObject);
+  handleArray(keys.map(key => valueObject[key]), (err, results) => {
+    if (err){
+      return callback(err);
+    }
+    const resultObject = {};
+    keys.forEach((key, index) => {
+      resultObject[key] = results[index];
+    });
+    callback(null, resultObject);
+  }, scope);
+}
+
+/**
+ * run a generator as a nested flow of the flow owning the scope, passing on its return value or uncaught exception.
+ * cancelling the scope cancels the nested flow.
+ * @param {Function} genFunction - called with no arguments to create the generator
+ * @param {Object} [options] - flow options, see createFlow
+ * @param {Function} callback - function to pass the return value or exception to
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
+ * @returns {undefined}
+ */
+function handleSubFlow(genFunction, options, callback, scope){
+  let removeCancel = null;
+  let flow;
+  try {
+    flow = createFlow(genFunction, [], options, (err, result) => {
+      if (removeCancel){
+        removeCancel();
+      }
+      callback(err, result);
+    }, scope.flow);
+  } catch(err){
+    return callback(err);
+  }
+  removeCancel = scope.onCancel(reason => cancelFlow(flow, reason));
+  step(flow);
+}
+
+/**
+ * duck type promises, so any object or function with a then method is treated as one.
+ * @param {*} value - value to check
+ * @returns {boolean}
+ */
+function isThenable(value){
+  return value != null && (typeof value == 'object' || typeof value == 'function') && typeof value.then == 'function';
+}
+
+/**
+ * duck type generator objects, including iterators from transpiled generator functions.
+ * @param {*} value - value to check
+ * @returns {boolean}
+ */
+function isGenerator(value){
+  return value != null && typeof value == 'object' && typeof value.next == 'function' && typeof value.throw == 'function';
+}
+
+/**
+ * check a value was created by an object literal or Object.create(null), rather than a class.
+ * @param {Object} value - value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value){
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * execute given function with one or more callbacks.
+ * After function completes and all it's callbacks are called, control is passed back to the main callback.
+ * if the function returns a function, it is called with the reason should the yield be cancelled while waiting.
+ * in a strict scope, the first argument of each callback is an error: if any are set they are thrown,
+ * otherwise only the remaining arguments are passed on.
+ * @param {Function} valueFunction - function to collect all arguments passed to callbacks from
+ * @param {Function} callback - function to pass all results to, or an exception if thrown synchronously
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
+ * @returns {undefined}
+ */
+ function handleFunction(valueFunction, callback, scope){
+  let removeTeardown = null;
+  if (scope.record){
+    scope.record.callbackCount += valueFunction.length;
+  }
+  let waitingCount = valueFunction.length + 1;
+  const waitingFlags = new Array(waitingCount).fill(true);
+  const diagnosed = {valueFunction: valueFunction, waitingFlags: waitingFlags};
+  if (scope.diagnosis){
+    scope.diagnosis.functions.add(diagnosed);
+  }
+  const results = new Array(waitingCount);
+  const finishedChecks = new Array(waitingCount)
+    .fill('')
+    .map((_, index) =>
+    
+      /**
+       * update waitingFlags & results then if all finishedChecks have been executed, 
+       * pass to main callback the first result each received, formatted according to valueFunction.length
+       * returned value from valueFunction is discarded (results[0])
+       */
+      function (){
+        if (waitingFlags[index]){
+          waitingFlags[index] = false;
+          results[index] = Array.from(arguments);
+          waitingCount --;
+          if (!waitingCount){
+            if (removeTeardown){
+              removeTeardown();
+            }
+            if (scope.diagnosis){
+              scope.diagnosis.functions.delete(diagnosed);
+            }
+            if (scope.strict){
+              return strictResults(valueFunction.length, results.slice(1), callback);
+            }
+            if (valueFunction.length == 1){ // f(callback) => [foo, bar, ...]
+              return callback(null, results[1]);
+            } else {  // f(callback1, callback2, ...) => [[foo1, bar1, ...], [foo2, bar2, ...], ...]
               return callback(null, results.slice(1));
             }
           }
+        } else if (diagnosticsOptions){
+          reportMultipleCall(scope, valueFunction, index - 1, Array.from(arguments));
         }
       }
     );
@@ -218,12 +1039,1922 @@ function getNextResult(value, callback){
     callback(err);
     return;
   }
+  if (typeof returned == 'function'){
+    removeTeardown = scope.onCancel(returned);
+  }
   finishedChecks[0](returned); // first finishedCheck is that the valueFunction completed
 }
 
+/**
+ * start a value created by createYieldable, passing exceptions thrown while it starts to the generator.
+ * exceptions thrown once it has called back, e.g. by the callback itself, are not caught.
+ * @param {Object} yieldable - value created by createYieldable
+ * @param {Function} callback - function to pass the result to, or an exception if thrown synchronously
+ * @param {Object} scope - collects handlers to call if the yield is cancelled
+ * @returns {undefined}
+ */
+function handleYieldable(yieldable, callback, scope){
+  let calledBack = false;
+  try {
+    yieldable[yieldableSymbol]((err, result) => {
+      calledBack = true;
+      callback(err, result);
+    }, scope);
+  } catch(err){
+    if (calledBack){
+      throw err;
+    }
+    callback(err);
+  }
+}
+
+/**
+ * wrap a handler so it can be yielded, getNextResult passes it the callback and scope directly.
+ * @param {Function} handler - called with (callback, scope) to evaluate the yield
+ * @param {string} description - name of what is being yielded, for debugging
+ * @returns {Object} - yieldable value
+ */
+function createYieldable(handler, description){
+  const yieldable = {};
+  yieldable[yieldableSymbol] = handler;
+  yieldable[descriptionSymbol] = description;
+  return yieldable;
+}
+
+/**
+ * yield a value, throwing a TimeoutError in to the generator if it has not completed in time.
+ * any teardown returned by a pending yielded function is called with the TimeoutError.
+ * @param {number} ms - time limit
+ * @param {*} value - valid expression to yield
+ * @returns {Object} - yieldable value
+ */
+function timeout(ms, value){
+  return createYieldable((callback, scope) => {
+    const child = createScope(scope.flow, scope);
+    let settled = false;
+    function settle(err, result){
+      if (!settled){
+        settled = true;
+        scheduler.clearTimer(timer);
+        child.detach();
+        removeCancel();
+        callback(err, result);
+      }
+    }
+    const timer = scheduler.setTimer(() => {
+      const err = new TimeoutError(ms);
+      child.cancel(err);
+      settle(err);
+    }, ms);
+    const removeCancel = scope.onCancel(() => scheduler.clearTimer(timer));
+    getNextResult(value, settle, child);
+  }, 'flatback.timeout');
+}
+
+/**
+ * yield the elements of an array, iterable or generator with at most a given number being evaluated at once.
+ * the results are returned in input order, as they would be for an array.
+ * on the first exception no further elements are taken and the iterable is closed.
+ * @param {number} concurrency - maximum number of elements in flight
+ * @param {Iterable} values - valid expressions to yield, only taken from the iterable as they are started
+ * @returns {Object} - yieldable value
+ */
+function limit(concurrency, values){
+  if (!(concurrency >= 1)){
+    throw new TypeError(`flatback.limit concurrency must be at least 1.  Recieved ${concurrency}`);
+  }
+  return createYieldable((callback, scope) => {
+    const iterator = values[Symbol.iterator]();
+    const results = [];
+    let started = 0;
+    let active = 0;
+    let exhausted = false;
+    let stopped = false;
+    let pumping = false;
+    const removeCancel = scope.onCancel(() => stop());
+
+    function stop(err, result){
+      stopped = true;
+      removeCancel();
+      if (!exhausted && iterator.return){
+        iterator.return();
+      }
+      if (err || result){
+        callback(err, result);
+      }
+    }
+
+    function pump(){ // loops rather than recursing so synchronous elements keep the stack flat
+      if (pumping){
+        return;
+      }
+      pumping = true;
+      while (!stopped && !exhausted && active < concurrency){
+        let next;
+        try {
+          next = iterator.next();
+        } catch(err){
+          exhausted = true;
+          return stop(err);
+        }
+        if (next.done){
+          exhausted = true;
+        } else {
+          const index = started ++;
+          active ++;
+          getNextResult(next.value, (err, result) => {
+            if (stopped){
+              return;
+            }
+            if (err){
+              return stop(err);
+            }
+            results[index] = result;
+            active --;
+            pump();
+          }, scope);
+        }
+      }
+      pumping = false;
+      if (!stopped && exhausted && !active){
+        if (!started){ // treat as an empty array
+          stopped = true;
+          removeCancel();
+          scheduler.yieldTurn(() => callback(null, results));
+        } else {
+          stop(null, results);
+        }
+      }
+    }
+
+    pump();
+  }, 'flatback.limit');
+}
+
+/**
+ * yield all elements of an array, recording each outcome rather than stopping at the first exception.
+ * results are {status: 'fulfilled', value} or {status: 'rejected', reason} in input order.
+ * @param {Array} values - valid expressions to yield
+ * @returns {Object} - yieldable value
+ */
+function allSettled(values){
+  return createYieldable((callback, scope) => {
+    if (!values.length){ // treat as an empty array
+      return scheduler.yieldTurn(() => callback(null, []));
+    }
+    let waitingCount = values.length;
+    const results = new Array(waitingCount);
+    values.forEach((value, index) => {
+      getNextResult(value, (err, result) => {
+        results[index] = err ? {status: 'rejected', reason: err} : {status: 'fulfilled', value: result};
+        waitingCount --;
+        if (!waitingCount){
+          callback(null, results);
+        }
+      }, scope);
+    });
+  }, 'flatback.allSettled');
+}
+
+/**
+ * yield the elements of an array, returning or throwing the outcome of whichever completes first.
+ * the others are then cancelled, any teardown their functions returned is called.
+ * @param {Array} values - valid expressions to yield, at least one
+ * @returns {Object} - yieldable value
+ */
+function race(values){
+  return createYieldable((callback, scope) => {
+    if (!values.length){
+      return callback(new TypeError('flatback.race needs at least one value to yield'));
+    }
+    runRace(values, scope, () => true, callback);
+  }, 'flatback.race');
+}
+
+/**
+ * yield the elements of an array, returning the result of whichever completes first without an exception.
+ * the others are then cancelled.  if every element fails, an AggregateError of all exceptions is thrown.
+ * @param {Array} values - valid expressions to yield
+ * @returns {Object} - yieldable value
+ */
+function any(values){
+  return createYieldable((callback, scope) => {
+    if (!values.length){
+      return callback(new AggregateError([], 'flatback.any was given no values to yield'));
+    }
+    let failedCount = 0;
+    const errors = new Array(values.length);
+    runRace(values, scope, (err, index) => {
+      if (!err){
+        return true;
+      }
+      errors[index] = err;
+      failedCount ++;
+      if (failedCount == values.length){
+        callback(new AggregateError(errors, 'every value yielded to flatback.any failed'));
+      }
+      return false;
+    }, callback);
+  }, 'flatback.any');
+}
+
+/**
+ * shared logic for race and any: evaluate each element in its own child scope.
+ * the first element to complete and be accepted by isWinner wins, every other element is cancelled.
+ * @param {Array} values - valid expressions to yield
+ * @param {Object} scope - scope of the enclosing yield
+ * @param {Function} isWinner - called with (err, index) for each element that completes
+ * @param {Function} callback - function to pass the winning result or exception to
+ * @returns {undefined}
+ */
+function runRace(values, scope, isWinner, callback){
+  const children = [];
+  let won = false;
+  values.forEach((value, index) => {
+    if (won){ // an earlier element already won synchronously
+      return;
+    }
+    const child = createScope(scope.flow, scope);
+    children.push(child);
+    getNextResult(value, (err, result) => {
+      if (won || child.cancelled){
+        return;
+      }
+      child.detach();
+      if (isWinner(err, index)){
+        won = true;
+        children.forEach(other => {
+          if (other !== child){
+            other.detach();
+            other.cancel(new CancelError('flatback value lost a race'));
+          }
+        });
+        callback(err, result);
+      }
+    }, child);
+  });
+}
+
+/**
+ * yield a freshly created value, trying again after a backoff while the outcome is judged retryable.
+ * the outcome of the last attempt is returned or thrown.
+ * @param {Object} options - retry options
+ * @param {number} [options.attempts=3] - maximum number of attempts
+ * @param {number} [options.delay=100] - ms to wait before the first retry
+ * @param {number} [options.factor=2] - multiplier applied to the delay after each retry
+ * @param {number} [options.maxDelay=Infinity] - cap on the delay between attempts
+ * @param {boolean} [options.jitter=true] - wait a random time up to the delay to spread out retries
+ * @param {Function} [options.retryIf] - called with (err, result, attempt), returns true to retry
+ * @param {Function} thunkFactory - called with the attempt number from 1, returns a valid expression to yield
+ * @returns {Object} - yieldable value
+ */
+function retry(options, thunkFactory){
+  const attempts = options.attempts == null ? 3 : options.attempts;
+  const delay = options.delay == null ? 100 : options.delay;
+  const factor = options.factor == null ? 2 : options.factor;
+  const maxDelay = options.maxDelay == null ? Infinity : options.maxDelay;
+  const jitter = options.jitter !== false;
+
+  return createYieldable((callback, scope) => {
+    let attempt = 0;
+    let timer = null;
+    let cancelled = false;
+    const removeCancel = scope.onCancel(() => {
+      cancelled = true;
+      scheduler.clearTimer(timer);
+    });
+
+    function settle(err, result){
+      removeCancel();
+      callback(err, result);
+    }
+
+    function tryOnce(){
+      if (cancelled){
+        return;
+      }
+      attempt ++;
+      let value;
+      try {
+        value = thunkFactory(attempt);
+      } catch(err){
+        return settle(err);
+      }
+      getNextResult(value, (err, result) => {
+        if (cancelled){ // e.g. lost a race or timed out while the attempt was in flight
+          return;
+        }
+        let again;
+        try {
+          again = attempt < attempts &&
+            (options.retryIf ? options.retryIf(err, result, attempt) : Boolean(err) || isCallbackError(value, result, scope));
+        } catch(predicateErr){
+          return settle(predicateErr);
+        }
+        if (!again){
+          return settle(err, result);
+        }
+        const wait = Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+        timer = scheduler.setTimer(tryOnce, jitter ? Math.random() * wait : wait);
+      }, scope);
+    }
+
+    tryOnce();
+  }, 'flatback.retry');
+}
+
+/**
+ * check whether a yield returned the arguments of a callback with an error as the first, e.g. for retry and checkpoint.
+ * only functions with one callback and memo or batcher yieldables return them, promises resolving to arrays are not errors.
+ * in a strict scope callback errors are already thrown, and the first argument left is data.
+ * @param {*} value - the value yielded
+ * @param {*} result - what the yield returned
+ * @param {Object} scope - scope of the yield
+ * @returns {boolean}
+ */
+function isCallbackError(value, result, scope){
+  if (scope.strict || !Array.isArray(result) || result[0] == null){
+    return false;
+  }
+  return typeof value == 'function' ? value.length == 1 && !value[subFlowSymbol] : Boolean(value && value[callbackResultSymbol]);
+}
+
+/**
+ * wrap an async iterator or any other iterable so it can be consumed one step at a time inside a flow.
+ * `yield iterable.next()` returns {done, value}, `yield iterable.return()` closes the iterator early.
+ * @param {(AsyncIterable|Iterable|Iterator)} source - async iterable such as a stream, iterable or iterator
+ * @returns {Object} - object with next and return methods that create yieldable values
+ */
+function iterate(source){
+  let iterator;
+  if (source[Symbol.asyncIterator]){
+    iterator = source[Symbol.asyncIterator]();
+  } else if (source[Symbol.iterator]){
+    iterator = source[Symbol.iterator]();
+  } else {
+    iterator = source;
+  }
+
+  function stepIterator(method){
+    return createYieldable((callback, scope) => {
+      let next;
+      try {
+        next = iterator[method] ? iterator[method]() : {done: true};
+      } catch(err){
+        return callback(err);
+      }
+      getNextResult(Promise.resolve(next), (err, next) => {
+        if (err){
+          return callback(err);
+        }
+        callback(null, {done: Boolean(next.done), value: next.value});
+      }, scope);
+    }, `flatback.iterate ${method}`);
+  }
+
+  return {
+    next: () => stepIterator('next'),
+    return: () => stepIterator('return'),
+  };
+}
+
+/**
+ * format the results of a function in a strict scope, used by handleFunction.
+ * f(callback) => [bar, ...] or throws foo, f(callback1, callback2) => [[bar1, ...], [bar2, ...]] or throws AggregateError
+ * @param {number} callbackCount - number of callbacks the function took
+ * @param {Array[]} callbackResults - arguments passed to each callback
+ * @param {Function} callback - function to pass the results or error to
+ * @returns {undefined}
+ */
+function strictResults(callbackCount, callbackResults, callback){
+  if (callbackCount == 1){
+    const err = callbackResults[0][0];
+    return err != null ? callback(err) : callback(null, callbackResults[0].slice(1));
+  }
+  const errors = callbackResults.map(args => args[0]).filter(err => err != null);
+  if (errors.length){
+    return callback(new AggregateError(errors, `${errors.length} of ${callbackCount} callbacks were passed an error`));
+  }
+  return callback(null, callbackResults.map(args => args.slice(1)));
+}
+
+/**
+ * yield a value in strict mode, errors passed as the first argument to any callback are thrown in to the generator.
+ * @param {*} value - valid expression to yield
+ * @returns {Object} - yieldable value
+ */
+function strict(value){
+  return createYieldable((callback, scope) => {
+    const child = createScope(scope.flow, scope);
+    child.strict = true;
+    getNextResult(value, (err, result) => {
+      child.detach();
+      callback(err, result);
+    }, child);
+  }, 'flatback.strict');
+}
+
+/**
+ * yield a value through yield* so TypeScript can infer what it returns, see index.d.ts.
+ * `const [error, thing] = yield* flatback.typed(getThing)` behaves exactly as `yield getThing` would.
+ * @param {*} value - valid expression to yield
+ * @returns {Generator} - generator yielding the value once then returning its result
+ */
+function* typed(value){
+  return yield value;
+}
+
+/**
+ * return a function whose calls can be yielded like the function taking a callback it wraps, sharing results.
+ * concurrent calls with the same key share one call of fn, each caller gets the arguments its callback was passed,
+ * which are then cached.  calls whose callback is passed an error, or that throw, are not cached unless configured.
+ * a caller cancelling stops waiting, the shared call is only torn down once every caller has stopped waiting.
+ * @param {Function} fn - function taking a callback after any other arguments
+ * @param {Object} [options]
+ * @param {Function} [options.key] - returns the cache key for a call's arguments, by default they are JSON encoded
+ * @param {number} [options.ttl] - ms a result stays cached, forever by default
+ * @param {number} [options.maxSize] - results kept before the least recently used are evicted, unlimited by default
+ * @param {boolean} [options.cacheFailures] - cache errors passed to the callback and exceptions as well
+ * @returns {Function} - function returning a yieldable value, with a clear method to empty the cache
+ */
+function memo(fn, options){
+  options = options || {};
+  const getKey = options.key || function(){
+    return JSON.stringify(Array.from(arguments));
+  };
+  const cache = new Map(); // key => {err, result, expires}, least recently used first
+  const inFlight = new Map(); // key => {waiters, scope}
+
+  function lookup(key){
+    const entry = cache.get(key);
+    if (!entry){
+      return null;
+    }
+    cache.delete(key);
+    if (entry.expires <= now()){
+      return null;
+    }
+    cache.set(key, entry); // now the most recently used
+    return entry;
+  }
+
+  function store(key, err, result){
+    if ((err || result[0] != null) && !options.cacheFailures){
+      return;
+    }
+    cache.set(key, {err: err, result: result, expires: options.ttl != null ? now() + options.ttl : Infinity});
+    if (options.maxSize != null && cache.size > options.maxSize){
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  function deliver(scope, err, result, callback){
+    if (err){
+      return callback(err);
+    }
+    if (scope.strict){
+      return strictResults(1, [result], callback);
+    }
+    callback(null, result.slice());
+  }
+
+  function memoized(){
+    const self = this;
+    const args = Array.from(arguments);
+    const yieldable = createYieldable((callback, scope) => {
+      let key;
+      try {
+        key = getKey.apply(self, args);
+      } catch(err){
+        return callback(err);
+      }
+      const cached = lookup(key);
+      if (cached){
+        return deliver(scope, cached.err, cached.result, callback);
+      }
+
+      let call = inFlight.get(key);
+      const starting = !call;
+      if (starting){
+        call = {waiters: [], scope: createScope(null)};
+        inFlight.set(key, call);
+      }
+      const waiter = {
+        resolve(err, result){
+          removeCancel();
+          deliver(scope, err, result, callback);
+        },
+      };
+      call.waiters.push(waiter);
+      const removeCancel = scope.onCancel(reason => {
+        call.waiters = call.waiters.filter(other => other !== waiter);
+        if (!call.waiters.length && inFlight.get(key) === call){
+          inFlight.delete(key);
+          call.scope.cancel(reason);
+        }
+      });
+      if (starting){
+        handleFunction(done => fn.apply(self, args.concat(done)), (err, result) => {
+          if (inFlight.get(key) !== call){ // every caller stopped waiting
+            return;
+          }
+          inFlight.delete(key);
+          store(key, err, result);
+          call.waiters.forEach(other => other.resolve(err, result));
+        }, call.scope);
+      }
+    }, `flatback.memo ${fn.name || 'function'}`);
+    yieldable[callbackResultSymbol] = true;
+    return yieldable;
+  }
+
+  memoized.clear = () => cache.clear();
+  return Object.defineProperty(memoized, "length", {value: Math.max(fn.length - 1, 0)});
+}
+
+/**
+ * return a function whose calls can be yielded to look up one key each, collected in to batched calls of batchFn.
+ * keys looked up in the same turn, by elements of a yielded array or by separate flows, share one call.
+ * each caller gets [err, result] as if it had yielded a function with one callback.  an Error in the results
+ * is passed to just that caller as err, an error passed to the callback or an exception is given to every caller.
+ * @param {Function} batchFn - called with (keys, callback), the callback takes an error and an array of results in key order
+ * @param {Object} [options]
+ * @param {number} [options.maxBatchSize] - keys per call, a full batch is started immediately, unlimited by default
+ * @param {number} [options.window] - ms to wait for keys before starting a batch, by default it starts on the next turn
+ * @returns {Function} - function taking a key and returning a yieldable value
+ */
+function batcher(batchFn, options){
+  options = options || {};
+  let batch = null; // {entries: Map key => waiters, timer, dispatched}, collecting keys until dispatched
+
+  function dispatch(current){
+    if (current.dispatched || !current.entries.size){
+      return;
+    }
+    current.dispatched = true;
+    if (batch === current){
+      batch = null;
+    }
+    if (current.timer != null){
+      scheduler.clearTimer(current.timer);
+    }
+    const keys = Array.from(current.entries.keys());
+    let called = false;
+    const complete = (err, results) => {
+      if (called){
+        return;
+      }
+      called = true;
+      if (!err && (!Array.isArray(results) || results.length != keys.length)){
+        err = new TypeError(`flatback.batcher batch function must pass an array of ${keys.length} results, one for each key`);
+      }
+      keys.forEach((key, index) => {
+        const result = err ? [err] : results[index] instanceof Error ? [results[index]] : [null, results[index]];
+        current.entries.get(key).slice().forEach(waiter => waiter.resolve(result));
+      });
+    };
+    try {
+      batchFn(keys, complete);
+    } catch(err){
+      keys.forEach(key => current.entries.get(key).slice().forEach(waiter => waiter.reject(err)));
+      called = true;
+    }
+  }
+
+  function batched(key){
+    const yieldable = createYieldable((callback, scope) => {
+      if (!batch){
+        const started = batch = {entries: new Map(), timer: null, dispatched: false};
+        if (options.window){
+          started.timer = scheduler.setTimer(() => dispatch(started), options.window);
+        } else {
+          scheduler.yieldTurn(() => dispatch(started));
+        }
+      }
+      const current = batch;
+      const waiters = current.entries.get(key) || [];
+      current.entries.set(key, waiters);
+      const waiter = {
+        resolve(result){
+          finishWaiting();
+          if (scope.strict){
+            return strictResults(1, [result], callback);
+          }
+          callback(null, result.slice());
+        },
+        reject(err){
+          finishWaiting();
+          callback(err);
+        },
+      };
+      waiters.push(waiter);
+      const removeCancel = scope.onCancel(() => {
+        finishWaiting();
+        if (batch === current && !waiters.length){ // not started yet, so the key is no longer needed
+          current.entries.delete(key);
+          if (!current.entries.size){
+            batch = null;
+            if (current.timer != null){
+              scheduler.clearTimer(current.timer);
+            }
+          }
+        }
+      });
+
+      function finishWaiting(){
+        removeCancel();
+        const index = waiters.indexOf(waiter);
+        if (index != -1){
+          waiters.splice(index, 1);
+        }
+      }
+
+      if (options.maxBatchSize && current.entries.size >= options.maxBatchSize){
+        dispatch(current);
+      }
+    }, `flatback.batcher ${batchFn.name || 'function'}`);
+    yieldable[callbackResultSymbol] = true;
+    return yieldable;
+  }
+
+  return batched;
+}
+
+/**
+ * add a listener for global flatback events.
+ * 'unhandledError' is emitted with exceptions from flatback.func, flatback.exec and flatback.once that nothing else handles.
+ * @param {string} eventName - name of the event
+ * @param {Function} listener - called with the event arguments
+ * @returns {Object} - flatback, for chaining
+ */
+function on(eventName, listener){
+  emitter.on(eventName, listener);
+  return module.exports;
+}
+
+/**
+ * remove a listener added by on.
+ * @param {string} eventName - name of the event
+ * @param {Function} listener - listener to remove
+ * @returns {Object} - flatback, for chaining
+ */
+function off(eventName, listener){
+  emitter.removeListener(eventName, listener);
+  return module.exports;
+}
+
+/**
+ * turn debug mode on or off for flows started from now on.
+ * in debug mode, exceptions thrown in to a generator get a flatbackTrace property naming the yield that failed.
+ * @param {boolean} [enabled=true] - whether to record yields
+ * @returns {Object} - flatback, for chaining
+ */
+function debug(enabled){
+  debugEnabled = enabled !== false;
+  return module.exports;
+}
+
+/**
+ * install hooks called as flows run, flows started from then on fire them.
+ * every event has flow, the flow name, and flowId.  times are in ms.
+ * onFlowStart gets parentFlowId & parentYieldIndex for nested flows, and startTime.
+ * onYield gets yieldIndex, waitingOn describing the yielded value, and startTime.
+ * onResolve and onReject get yieldIndex, startTime, endTime, duration, error,
+ * callbackCount, the number of callbacks waited on, and elementDurations for yielded arrays.
+ * onFlowEnd gets yieldCount, startTime, endTime, duration, error and cancelled.
+ * @param {Object} hooks - object with any of onFlowStart, onYield, onResolve, onReject and onFlowEnd
+ * @returns {Function} - removes the hooks again
+ */
+function instrument(hooks){
+  instruments.push(hooks);
+  return () => {
+    const index = instruments.indexOf(hooks);
+    if (index != -1){
+      instruments.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * create instrument hooks that record a span for each flow and each yield, passed to an exporter once ended.
+ * spans are shaped like OpenTelemetry spans, nested flows are children of the yield waiting on them.
+ * @param {Object} exporter - object with an export(spans, resultCallback) method, e.g. memoryExporter or fileExporter
+ * @returns {Object} - hooks to pass to instrument
+ */
+function spanHooks(exporter){
+  const flowSpans = new Map(); // flowId => {span, yieldSpan}
+
+  function createSpan(name, parent, startTime, attributes){
+    return {
+      traceId: parent ? parent.traceId : randomId(16),
+      spanId: randomId(8),
+      parentSpanId: parent ? parent.spanId : null,
+      name: name,
+      kind: 'INTERNAL',
+      startTime: startTime,
+      endTime: null,
+      duration: null,
+      attributes: attributes,
+      status: {code: 'UNSET'},
+    };
+  }
+
+  function endSpan(span, event){
+    span.endTime = event.endTime;
+    span.duration = event.duration;
+    span.status = event.error ? {code: 'ERROR', message: String(event.error && event.error.message || event.error)} : {code: 'OK'};
+    exporter.export([span], () => {});
+  }
+
+  function endYieldSpan(event){
+    const state = flowSpans.get(event.flowId);
+    if (state && state.yieldSpan){ // flows started before the hooks were installed have no spans
+      const span = state.yieldSpan;
+      state.yieldSpan = null;
+      span.attributes['flatback.callback_count'] = event.callbackCount;
+      if (event.elementDurations){
+        span.attributes['flatback.element_durations'] = event.elementDurations;
+      }
+      endSpan(span, event);
+    }
+  }
+
+  return {
+    onFlowStart: event => {
+      const parent = flowSpans.get(event.parentFlowId);
+      const span = createSpan(`flow ${event.flow}`, parent && (parent.yieldSpan || parent.span), event.startTime, {
+        'flatback.flow': event.flow,
+        'flatback.flow_id': event.flowId,
+      });
+      flowSpans.set(event.flowId, {span: span, yieldSpan: null});
+    },
+    onYield: event => {
+      const state = flowSpans.get(event.flowId);
+      if (!state){
+        return;
+      }
+      state.yieldSpan = createSpan(`yield #${event.yieldIndex}`, state.span, event.startTime, {
+        'flatback.flow': event.flow,
+        'flatback.yield_index': event.yieldIndex,
+        'flatback.waiting_on': event.waitingOn,
+      });
+    },
+    onResolve: event => endYieldSpan(event),
+    onReject: event => endYieldSpan(event),
+    onFlowEnd: event => {
+      const state = flowSpans.get(event.flowId);
+      if (!state){
+        return;
+      }
+      flowSpans.delete(event.flowId);
+      state.span.attributes['flatback.yield_count'] = event.yieldCount;
+      state.span.attributes['flatback.cancelled'] = event.cancelled;
+      endSpan(state.span, event);
+    },
+  };
+
+}
+
+/**
+ * random hex id for spans.
+ * @param {number} bytes - length of the id in bytes
+ * @returns {string}
+ */
+function randomId(bytes){
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * span exporter collecting spans in memory, for tests or local inspection.
+ * @returns {Object} - exporter with a spans array and a reset method
+ */
+function memoryExporter(){
+  const exporter = {
+    spans: [],
+    export(spans, resultCallback){
+      exporter.spans.push.apply(exporter.spans, spans);
+      resultCallback({code: 0});
+    },
+    reset(){
+      exporter.spans = [];
+    },
+  };
+  return exporter;
+}
+
+/**
+ * span exporter appending each span as a line of JSON to a file.
+ * @param {string} path - file to append to
+ * @returns {Object} - exporter with a shutdown(callback) method to close the file
+ */
+function fileExporter(path){
+  const stream = fs.createWriteStream(path, {flags: 'a'});
+  return {
+    export(spans, resultCallback){
+      stream.write(spans.map(span => JSON.stringify(span) + '\n').join(''), err => resultCallback({code: err ? 1 : 0, error: err}));
+    },
+    shutdown(callback){
+      stream.end(callback);
+    },
+  };
+}
+
+/**
+ * turn diagnostics mode on for flows started from now on, or off by passing false.
+ * @param {(Object|boolean)} [options] - diagnostics options
+ * @param {(string|Function)} [options.multipleCalls='warn'] - 'warn', 'throw', 'ignore' or a function called with details
+ *   when a yielded function calls one of its callbacks again
+ * @param {number} [options.stallTimeout] - ms a flow may wait on one yield before it is reported
+ * @param {Function} [options.onStall] - called with the pending details of a stalled flow, by default a warning is emitted
+ * @returns {Object} - flatback, for chaining
+ */
+function diagnostics(options){
+  diagnosticsOptions = options === false ? null : Object.assign({}, options);
+  return module.exports;
+}
+
+/**
+ * list every live flow started in diagnostics mode along with what it is waiting on.
+ * @returns {Object[]} - details with flow, flowId, parentFlowId, yieldIndex, waitingOn, waitingFor in ms
+ *   and outstandingCallbacks, listing the callbackIndexes each waiting function has not called yet
+ */
+function pending(){
+  return Array.from(liveFlows).map(describeFlow);
+}
+
+/**
+ * the context of the current flow, or the AsyncLocalStorage store for code started by one.
+ * @returns {Object} - context created by createFlow, null outside of any flow
+ */
+function currentContext(){
+  if (currentFlow){
+    return currentFlow.context;
+  }
+  return (storage && storage.getStore()) || null;
+}
+
+/**
+ * flow-local values, each flow has its own and nested flows or flows started from one inherit their parent's.
+ */
+const context = {
+  /**
+   * read a value from the current flow's context, falling back to those it inherits.
+   * @param {*} key - key the value was set with
+   * @returns {*} - the value, undefined if not set or outside of a flow
+   */
+  get(key){
+    for (let current = currentContext(); current; current = current.parent){
+      if (current.values.has(key)){
+        return current.values.get(key);
+      }
+    }
+    return undefined;
+  },
+
+  /**
+   * set a value in the current flow's context, this does not change the contexts it inherits from.
+   * @param {*} key - key to set the value with
+   * @param {*} value - value to set
+   * @returns {undefined}
+   */
+  set(key, value){
+    const current = currentContext();
+    if (!current){
+      throw new Error('flatback.context.set can only be called from inside a flow');
+    }
+    current.values.set(key, value);
+  },
+
+  /**
+   * also make flow contexts the AsyncLocalStorage store while flows run, so code they call keeps seeing them in later callbacks.
+   * off by default, as AsyncLocalStorage slows down every promise in the process, not just those in flows.
+   * @returns {Object} - the AsyncLocalStorage, null where node does not provide it
+   */
+  useAsyncStorage(){
+    if (!storage){
+      storage = createStorage();
+    }
+    return storage;
+  },
+
+  get storage(){
+    return storage;
+  },
+};
+
+/**
+ * create a channel for flows to pass values through, blocking when empty or full.
+ * takers and putters are served in FIFO order.
+ * @param {number} [bufferSize=0] - values held without a taker, with 0 every put waits for a take
+ * @returns {Object} - channel with put, take, close and drained methods
+ */
+function channel(bufferSize){
+  bufferSize = bufferSize || 0;
+  const buffer = [];
+  let takers = []; // waiters
+  let putters = []; // {value, waiter}
+  let drainWaiters = [];
+  let closed = false;
+
+  /**
+   * find the first waiter in a queue that can still be completed, dropping any that are done.
+   */
+  function claimFirst(queue, getWaiter){
+    while (queue.length){
+      const entry = queue.shift();
+      if (getWaiter(entry).claim()){
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * remove a waiter that no longer wants to complete, e.g. one that lost a select.
+   */
+  function removeEntry(queue, entry){
+    const index = queue.indexOf(entry);
+    if (index != -1){
+      queue.splice(index, 1);
+    }
+  }
+
+  function checkDrained(){
+    if (closed && !buffer.length){
+      const waiters = drainWaiters;
+      drainWaiters = [];
+      waiters.forEach(waiter => waiter());
+    }
+  }
+
+  const takeOp = {
+    attempt(){
+      if (buffer.length){
+        const value = buffer.shift();
+        const putter = claimFirst(putters, entry => entry.waiter);
+        if (putter){
+          buffer.push(putter.value);
+          putter.waiter.complete(null);
+        }
+        checkDrained();
+        return {value: value};
+      }
+      const putter = claimFirst(putters, entry => entry.waiter);
+      if (putter){
+        putter.waiter.complete(null);
+        return {value: putter.value};
+      }
+      return closed ? {value: CLOSED} : null;
+    },
+    wait(waiter){
+      takers.push(waiter);
+      return () => removeEntry(takers, waiter);
+    },
+  };
+
+  function putOp(value){
+    return {
+      attempt(){
+        if (closed){
+          return {err: new ChannelClosedError()};
+        }
+        const taker = claimFirst(takers, waiter => waiter);
+        if (taker){
+          taker.complete(null, value);
+          return {value: undefined};
+        }
+        if (buffer.length < bufferSize){
+          buffer.push(value);
+          return {value: undefined};
+        }
+        return null;
+      },
+      wait(waiter){
+        const entry = {value: value, waiter: waiter};
+        putters.push(entry);
+        return () => removeEntry(putters, entry);
+      },
+    };
+  }
+
+  return {
+    /**
+     * yieldable that waits until the value is taken or buffered.
+     * throws a ChannelClosedError if the channel is or becomes closed first.
+     * @param {*} value - value to put
+     * @returns {Object} - yieldable value, also accepted by select
+     */
+    put: value => createChannelOp(putOp(value), 'channel put'),
+
+    /**
+     * yieldable that waits for a value, returning flatback.CLOSED once the channel is closed and empty.
+     * @returns {Object} - yieldable value, also accepted by select
+     */
+    take: () => createChannelOp(takeOp, 'channel take'),
+
+    /**
+     * stop accepting values, those already buffered can still be taken.
+     * waiting takers get flatback.CLOSED, waiting putters throw a ChannelClosedError.
+     * @returns {undefined}
+     */
+    close(){
+      if (closed){
+        return;
+      }
+      closed = true;
+      const waitingTakers = takers;
+      const waitingPutters = putters;
+      takers = [];
+      putters = [];
+      waitingTakers.forEach(waiter => waiter.claim() && waiter.complete(null, CLOSED));
+      waitingPutters.forEach(entry => entry.waiter.claim() && entry.waiter.complete(new ChannelClosedError()));
+      checkDrained();
+    },
+
+    /**
+     * yieldable that waits until the channel is closed and every buffered value has been taken.
+     * @returns {Object} - yieldable value
+     */
+    drained: () => createYieldable((callback, scope) => {
+      if (closed && !buffer.length){
+        return callback(null, undefined);
+      }
+      const waiter = () => {
+        removeCancel();
+        callback(null, undefined);
+      };
+      drainWaiters.push(waiter);
+      const removeCancel = scope.onCancel(() => {
+        drainWaiters = drainWaiters.filter(other => other !== waiter);
+      });
+    }, 'channel drained'),
+
+    get closed(){
+      return closed;
+    },
+
+    get length(){
+      return buffer.length;
+    },
+
+    get waiting(){
+      return {takes: takers.length, puts: putters.length};
+    },
+  };
+}
+
+/**
+ * create the yieldable for a channel put or take.
+ * @param {Object} op - with attempt, returning {err, value} if the operation can complete now,
+ *   and wait(waiter), queueing the waiter and returning a function that removes it again
+ * @param {string} description - for debugging
+ * @returns {Object} - yieldable value
+ */
+function createChannelOp(op, description){
+  const yieldable = createYieldable((callback, scope) => {
+    const outcome = op.attempt();
+    if (outcome){
+      return callback(outcome.err || null, outcome.value);
+    }
+    const dequeue = op.wait({claim: createClaim(scope, () => dequeue()), complete: callback});
+  }, description);
+  yieldable[channelOpSymbol] = op;
+  return yieldable;
+}
+
+/**
+ * claim function for waiters queued on a channel: the first call returns true, later calls false.
+ * cancelling the scope claims it so the channel skips the waiter.
+ * @param {Object} scope - scope of the yield
+ * @param {Function} dequeue - called once claimed or cancelled, to take the waiters off their queues
+ * @returns {Function}
+ */
+function createClaim(scope, dequeue){
+  let claimed = false;
+  const removeCancel = scope.onCancel(() => {
+    claimed = true;
+    dequeue();
+  });
+  return function claim(){
+    if (claimed){
+      return false;
+    }
+    claimed = true;
+    removeCancel();
+    dequeue();
+    return true;
+  };
+}
+
+/**
+ * wait on several channel operations at once, completing only the first that can proceed.
+ * if more than one can proceed immediately the first in the array wins.
+ * @param {Object[]} ops - yieldables from channel put and take
+ * @returns {Object} - yieldable value, returning {index, value} where index is the position of the operation
+ */
+function select(ops){
+  return createYieldable((callback, scope) => {
+    for (let index = 0; index < ops.length; index ++){
+      const outcome = ops[index][channelOpSymbol].attempt();
+      if (outcome){
+        return callback(outcome.err || null, {index: index, value: outcome.value});
+      }
+    }
+    const dequeues = [];
+    const claim = createClaim(scope, () => dequeues.forEach(dequeue => dequeue())); // shared, so only one operation completes
+    ops.forEach((op, index) => dequeues.push(op[channelOpSymbol].wait({
+      claim: claim,
+      complete: (err, value) => callback(err, err ? undefined : {index: index, value: value}),
+    })));
+  }, 'flatback.select');
+}
+
+/**
+ * queue a waiter for a synchronisation primitive, removing it again on timeout or cancellation.
+ * @param {Object[]} queue - FIFO queue of waiters, each has a resolve(value) method
+ * @param {Object} scope - scope of the yield
+ * @param {number} [ms] - time limit, a TimeoutError is thrown in to the generator once it passes
+ * @param {Function} callback - called with (err, value) once resolved or timed out
+ * @returns {undefined}
+ */
+function enqueueWaiter(queue, scope, ms, callback){
+  let timer = null;
+  const waiter = {
+    resolve: value => settle(null, value),
+  };
+  function settle(err, value){
+    const index = queue.indexOf(waiter);
+    if (index != -1){
+      queue.splice(index, 1);
+    }
+    scheduler.clearTimer(timer);
+    removeCancel();
+    if (callback){
+      callback(err, value);
+    }
+  }
+  const removeCancel = scope.onCancel(() => {
+    callback = null;
+    settle();
+  });
+  if (ms != null){
+    timer = scheduler.setTimer(() => settle(new TimeoutError(ms)), ms);
+  }
+  queue.push(waiter);
+}
+
+/**
+ * counting semaphore for flows sharing a limited resource, waiters are served in FIFO order.
+ * @param {number} permits - number of holders allowed at once
+ */
+class Semaphore {
+  constructor(permits){
+    this.available = permits;
+    this.waiters = [];
+  }
+
+  /**
+   * yieldable returning a release function once a permit is available.
+   * @param {Object} [options] - acquire options
+   * @param {number} [options.timeout] - ms to wait before throwing a TimeoutError
+   * @returns {Object} - yieldable value
+   */
+  acquire(options){
+    const ms = options && options.timeout;
+    return createYieldable((callback, scope) => {
+      if (this.available > 0 && !this.waiters.length){
+        this.available --;
+        return callback(null, this.createRelease());
+      }
+      enqueueWaiter(this.waiters, scope, ms, callback);
+    }, 'semaphore acquire');
+  }
+
+  /**
+   * yieldable acquiring a permit that is released when the flow finishes, by return, exception or cancellation.
+   * @param {Object} [options] - as for acquire
+   * @returns {Object} - yieldable value, returning the release function in case it is wanted sooner
+   */
+  hold(options){
+    const acquire = this.acquire(options);
+    return createYieldable((callback, scope) => {
+      if (!scope.flow){
+        return callback(new TypeError('hold can only be yielded inside a flow'));
+      }
+      getNextResult(acquire, (err, release) => {
+        if (!err){
+          scope.flow.finalizers.push(release);
+        }
+        callback(err, release);
+      }, scope);
+    }, 'semaphore hold');
+  }
+
+  /**
+   * create the function that gives back one permit, calling it more than once has no effect.
+   * @returns {Function}
+   */
+  createRelease(){
+    let released = false;
+    return () => {
+      if (released){
+        return;
+      }
+      released = true;
+      const next = this.waiters[0];
+      if (next){ // hand the permit straight on
+        next.resolve(this.createRelease());
+      } else {
+        this.available ++;
+      }
+    };
+  }
+}
+
+/**
+ * semaphore with a single permit.
+ */
+class Mutex extends Semaphore {
+  constructor(){
+    super(1);
+  }
+
+  /**
+   * yieldable returning an unlock function once the mutex is held.
+   * @param {Object} [options] - as for Semaphore acquire
+   * @returns {Object} - yieldable value
+   */
+  lock(options){
+    return this.acquire(options);
+  }
+
+  /**
+   * whether the mutex is currently held.
+   * @returns {boolean}
+   */
+  get locked(){
+    return this.available == 0;
+  }
+}
+
+/**
+ * one-shot event, flows waiting on it continue once it is set.
+ */
+class Event {
+  constructor(){
+    this.isSet = false;
+    this.value = undefined;
+    this.waiters = [];
+  }
+
+  /**
+   * set the event, waking every waiting flow with the value.  later calls are ignored.
+   * @param {*} [value] - returned to waiters
+   * @returns {undefined}
+   */
+  set(value){
+    if (this.isSet){
+      return;
+    }
+    this.isSet = true;
+    this.value = value;
+    this.waiters.slice().forEach(waiter => waiter.resolve(value));
+  }
+
+  /**
+   * yieldable returning the value once the event is set.
+   * @param {Object} [options] - wait options
+   * @param {number} [options.timeout] - ms to wait before throwing a TimeoutError
+   * @returns {Object} - yieldable value
+   */
+  wait(options){
+    const ms = options && options.timeout;
+    return createYieldable((callback, scope) => {
+      if (this.isSet){
+        return callback(null, this.value);
+      }
+      enqueueWaiter(this.waiters, scope, ms, callback);
+    }, 'event wait');
+  }
+}
+
+/**
+ * barrier for a fixed number of flows, each waits until all have arrived.  it resets once they are released.
+ * @param {number} parties - number of flows to wait for
+ */
+class Barrier {
+  constructor(parties){
+    this.parties = parties;
+    this.waiters = [];
+  }
+
+  /**
+   * yieldable returning the arrival index, from 0, once all parties are waiting.
+   * a waiter that times out or is cancelled no longer counts as arrived.
+   * @param {Object} [options] - wait options
+   * @param {number} [options.timeout] - ms to wait before throwing a TimeoutError
+   * @returns {Object} - yieldable value
+   */
+  wait(options){
+    const ms = options && options.timeout;
+    return createYieldable((callback, scope) => {
+      const arrival = this.waiters.length;
+      if (arrival + 1 >= this.parties){
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.slice().forEach((waiter, index) => waiter.resolve(index)); // each resolve removes it from waiters
+        return callback(null, arrival);
+      }
+      enqueueWaiter(this.waiters, scope, ms, callback);
+    }, 'barrier wait');
+  }
+}
+
+/**
+ * yieldable returning the arguments of the next time an emitter emits an event, as an array.
+ * listeners are removed once it completes or is cancelled.
+ * @param {EventEmitter} emitter - emitter to listen to
+ * @param {string} eventName - event to wait for
+ * @param {Object} [options] - event options
+ * @param {(string|string[])} [options.rejectOn] - events whose first argument is thrown in to the generator instead
+ * @returns {Object} - yieldable value
+ */
+function event(emitter, eventName, options){
+  const rejectOn = [].concat((options && options.rejectOn) || []);
+  return createYieldable((callback, scope) => {
+    const listeners = [];
+    function listen(name, listener){
+      listeners.push([name, listener]);
+      emitter.on(name, listener);
+    }
+    function cleanup(){
+      removeCancel();
+      listeners.forEach(entry => emitter.removeListener(entry[0], entry[1]));
+    }
+    listen(eventName, function(){
+      cleanup();
+      callback(null, Array.from(arguments));
+    });
+    rejectOn.forEach(name => listen(name, err => {
+      cleanup();
+      callback(err || new Error(`${name} emitted while waiting for ${eventName}`));
+    }));
+    const removeCancel = scope.onCancel(cleanup);
+  }, `event ${eventName}`);
+}
+
+/**
+ * wrap a readable stream so chunks can be read one at a time inside a flow.
+ * the stream is read in paused mode, so it is only asked for more data as chunks are taken.
+ * @param {stream.Readable} readable - stream to read
+ * @returns {Object} - reader whose next and return methods create yieldable values, as with iterate
+ */
+function readStream(readable){
+  let ended = Boolean(readable.readableEnded);
+  let error = null;
+  let wake = null; // set while a yield waits for the stream
+
+  function onReadable(){
+    if (wake){
+      wake();
+    }
+  }
+  function onEnd(){
+    ended = true;
+    onReadable();
+  }
+  function onError(err){
+    error = err;
+    onReadable();
+  }
+  function cleanup(){
+    readable.removeListener('readable', onReadable);
+    readable.removeListener('end', onEnd);
+    readable.removeListener('error', onError);
+  }
+  readable.on('readable', onReadable);
+  readable.on('end', onEnd);
+  readable.on('error', onError);
+
+  return {
+    /**
+     * yieldable returning {done, value} with the next chunk, throwing any stream error.
+     * @returns {Object} - yieldable value
+     */
+    next: () => createYieldable((callback, scope) => {
+      let removeCancel = null;
+      function attempt(){
+        if (error){
+          cleanup();
+          return callback(error);
+        }
+        const chunk = readable.read();
+        if (chunk !== null){
+          return callback(null, {done: false, value: chunk});
+        }
+        if (ended){
+          cleanup();
+          return callback(null, {done: true, value: undefined});
+        }
+        wake = () => {
+          wake = null;
+          removeCancel();
+          attempt();
+        };
+        removeCancel = scope.onCancel(() => {
+          wake = null;
+        });
+      }
+      attempt();
+    }, 'stream read'),
+
+    /**
+     * yieldable that stops reading early, destroying the readable.
+     * @returns {Object} - yieldable value returning {done: true}
+     */
+    return: () => createYieldable(callback => {
+      cleanup();
+      if (readable.destroy){
+        readable.destroy();
+      }
+      callback(null, {done: true, value: undefined});
+    }, 'stream return'),
+  };
+}
+
+/**
+ * yieldable piping streams in to each other with node's stream.pipeline, any failure is thrown in to the generator.
+ * cancelling the yield destroys the streams.
+ * @param {...stream.Stream} streams - streams to connect, from source to destination, or a single array of them
+ * @returns {Object} - yieldable value
+ */
+function pipeline(){
+  const streams = Array.isArray(arguments[0]) ? arguments[0] : Array.from(arguments);
+  return createYieldable((callback, scope) => {
+    let removeCancel = null;
+    stream.pipeline.apply(stream, streams.concat(err => {
+      if (removeCancel){
+        removeCancel();
+      }
+      callback(err || null, undefined);
+    }));
+    removeCancel = scope.onCancel(reason => streams.forEach(each => each.destroy && each.destroy(reason)));
+  }, 'flatback.pipeline');
+}
+
+/**
+ * yield a supervised scope: the generator function runs as a nested flow, given a handle to spawn child flows with.
+ * the scope only completes once the generator function and every child have finished or been cancelled,
+ * then returns what the generator function returned.  an exception from the generator function, or from a child
+ * the strategy gives up on, cancels everything else in the scope and is then thrown.
+ * @param {GeneratorFunction} genFunction - describes control flow, called with the handle
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - what to do when a child throws: 'escalate' (the default) fails the scope,
+ *   'one-for-one' restarts just that child with the same arguments
+ * @param {number} [options.maxRestarts] - restarts allowed within the period before escalating, 3 by default
+ * @param {number} [options.period] - ms over which restarts are counted, 5000 by default
+ * @param {Function} [options.onRestart] - called with {flow, error, restarts} before a child is restarted
+ * @returns {Object} - yieldable value
+ */
+function supervisedScope(genFunction, options){
+  options = options || {};
+  const strategy = options.strategy || 'escalate';
+  if (strategy != 'escalate' && strategy != 'one-for-one'){
+    throw new TypeError(`Unknown flatback.scope strategy ${strategy}, use escalate or one-for-one`);
+  }
+  const maxRestarts = options.maxRestarts != null ? options.maxRestarts : 3;
+  const period = options.period != null ? options.period : 5000;
+
+  return createYieldable((callback, scope) => {
+    const children = new Set();
+    let restartTimes = [];
+    let failure = null; // first exception, once set everything left is cancelled
+    let bodyDone = false;
+    let bodyResult;
+    let closed = false;
+    let bodyFlow;
+
+    function settle(){
+      if (closed || !bodyDone || children.size){
+        return;
+      }
+      closed = true;
+      removeCancel();
+      callback(failure, bodyResult);
+    }
+
+    function fail(err){
+      if (failure){
+        return;
+      }
+      failure = err;
+      const reason = new CancelError('flatback flow was cancelled because another in its scope failed');
+      cancelFlow(bodyFlow, reason);
+      children.forEach(child => cancelFlow(child.flow, reason));
+    }
+
+    function finishChild(child, err, result){
+      children.delete(child);
+      child.outcome = {err: err, result: result};
+      child.joiners.splice(0).forEach(joiner => joiner(err, result));
+    }
+
+    function start(child){
+      child.flow = createFlow(child.genFunction, child.args, null, (err, result) => {
+        if (!err || err === child.flow.cancelled){
+          finishChild(child, err, result);
+        } else if (strategy == 'one-for-one' && !failure && !closed && canRestart()){
+          if (options.onRestart){
+            options.onRestart({flow: child.flow.name, error: err, restarts: child.restarts + 1});
+          }
+          child.restarts ++;
+          return start(child);
+        } else {
+          finishChild(child, err);
+          fail(err);
+        }
+        settle();
+      }, bodyFlow);
+      if (failure){
+        cancelFlow(child.flow, failure);
+      } else {
+        step(child.flow);
+      }
+    }
+
+    function canRestart(){
+      const time = now();
+      restartTimes = restartTimes.filter(restartTime => time - restartTime < period);
+      if (restartTimes.length >= maxRestarts){
+        return false;
+      }
+      restartTimes.push(time);
+      return true;
+    }
+
+    const handle = {
+      /**
+       * start a child flow in this scope.
+       * @param {GeneratorFunction} childGenFunction - describes control flow
+       * @param {...*} args - arguments for it
+       * @returns {Object} - child handle with cancel(reason) and join(), a yieldable for its result
+       */
+      spawn(childGenFunction){
+        if (closed){
+          throw new Error('flatback.scope has already finished, flows can no longer be spawned in it');
+        }
+        const child = {
+          genFunction: childGenFunction,
+          args: Array.from(arguments).slice(1),
+          flow: null,
+          restarts: 0,
+          outcome: null,
+          joiners: [],
+        };
+        children.add(child);
+        start(child);
+        return {
+          cancel: reason => cancelFlow(child.flow, reason),
+          join: () => createYieldable((joinCallback, joinScope) => {
+            if (child.outcome){
+              return joinCallback(child.outcome.err, child.outcome.result);
+            }
+            const joiner = (err, result) => {
+              removeJoinCancel();
+              joinCallback(err, result);
+            };
+            child.joiners.push(joiner);
+            const removeJoinCancel = joinScope.onCancel(() => {
+              child.joiners = child.joiners.filter(other => other !== joiner);
+            });
+          }, `join ${childGenFunction.name || 'anonymous'}`),
+        };
+      },
+    };
+
+    try {
+      bodyFlow = createFlow(genFunction, [handle], null, (err, result) => {
+        bodyDone = true;
+        bodyResult = result;
+        if (err && err !== bodyFlow.cancelled){
+          fail(err);
+        }
+        settle();
+      }, scope.flow);
+    } catch(err){
+      return callback(err);
+    }
+    const removeCancel = scope.onCancel(reason => {
+      closed = true;
+      cancelFlow(bodyFlow, reason);
+      children.forEach(child => cancelFlow(child.flow, reason));
+    });
+    step(bodyFlow);
+  }, 'flatback.scope');
+}
+
+/**
+ * return a function running the generator function as a durable flow: the result of each checkpoint is saved to a store.
+ * running it again with the same flow id replays saved checkpoints instead of repeating them,
+ * then carries on live from the first checkpoint without a saved result.
+ * @param {GeneratorFunction} genFunction - describes control flow, yielding flatback.checkpoint values
+ * @param {Object} options - flow options, see createFlow
+ * @param {Object} options.store - where results are saved, e.g. memoryStore or fileStore
+ * @param {Function} [options.onNondeterministic] - called with details of yields that may not replay the same way,
+ *   by default a warning is emitted
+ * @returns {Function} - executable function taking the flow id then the generator function's arguments, returns a promise
+ */
+function durable(genFunction, options){
+  function execDurable(flowId){
+    const args = Array.from(arguments).slice(1);
+    let flow = null;
+    let cancelled = null;
+    const promise = new Promise((resolve, reject) => {
+      options.store.load(flowId, (err, saved) => {
+        if (err){
+          return reject(err);
+        }
+        flow = createFlow(genFunction, args, options, (err, result) => err ? reject(err) : resolve(result));
+        flow.durable = {
+          flowId: flowId,
+          store: options.store,
+          saved: (saved && saved.checkpoints) || {},
+          names: new Set(),
+          count: 0,
+        };
+        if (cancelled){
+          flow.cancelled = cancelled;
+        }
+        step(flow);
+      });
+    });
+    promise.cancel = reason => {
+      if (flow){
+        cancelFlow(flow, reason);
+      } else {
+        cancelled = reason || new CancelError();
+      }
+    };
+    return promise;
+  }
+  return Object.defineProperty(execDurable, "length", {value: genFunction.length + 1});
+}
+
+/**
+ * name a yielded value so its result is saved by a durable flow, and replayed from the store when run again.
+ * exceptions and callback errors are not saved, the value is evaluated again on the next run.  results must survive JSON,
+ * undefined inside arrays comes back as null.
+ * @param {string} name - unique within the flow
+ * @param {*} value - valid expression to yield
+ * @returns {Object} - yieldable value
+ */
+function checkpoint(name, value){
+  const yieldable = createYieldable((callback, scope) => {
+    let owner = scope.flow;
+    while (owner && !owner.durable){ // checkpoints in nested flows belong to the durable flow
+      owner = owner.parent;
+    }
+    if (!owner){
+      return getNextResult(value, callback, scope);
+    }
+    const state = owner.durable;
+    if (state.names.has(name)){
+      return callback(new Error(`flatback checkpoint ${name} was reached twice in durable flow ${state.flowId}`));
+    }
+    state.names.add(name);
+    const index = state.count ++;
+    const saved = state.saved[name];
+    if (saved){
+      if (saved.index != index){
+        flagNondeterministic(owner, {reason: `checkpoint ${name} was reached in a different order than when saved`, checkpoint: name});
+      }
+      return callback(null, saved.value);
+    }
+    getNextResult(value, (err, result) => {
+      if (err){
+        return callback(err);
+      }
+      if (isCallbackError(value, result, scope)){
+        return callback(null, result); // callback errors run again like exceptions
+      }
+      const problem = findUnserialisable(result, 'result');
+      if (problem){
+        return callback(new TypeError(`flatback checkpoint ${name} cannot be saved, ${problem}`));
+      }
+      const entry = {index: index, value: result};
+      state.saved[name] = entry;
+      state.store.save(state.flowId, name, JSON.parse(JSON.stringify(entry)), err => callback(err || null, result));
+    }, scope);
+  }, `checkpoint ${name}`);
+  yieldable[checkpointSymbol] = name;
+  return yieldable;
+}
+
+/**
+ * report a yield in a durable flow that may not give the same result when the flow is replayed.
+ * @param {Object} flow - state created by createFlow
+ * @param {Object} details - reason plus checkpoint or yieldIndex
+ * @returns {undefined}
+ */
+function flagNondeterministic(flow, details){
+  let owner = flow;
+  while (!owner.durable){
+    owner = owner.parent;
+  }
+  const info = Object.assign({flow: flow.name, flowId: owner.durable.flowId}, details);
+  if (owner.options.onNondeterministic){
+    owner.options.onNondeterministic(info);
+  } else {
+    process.emitWarning(`flatback durable flow ${info.flowId}: ${info.reason}`, 'FlatbackWarning');
+  }
+}
+
+/**
+ * find the first part of a value JSON cannot round trip.
+ * @param {*} value - value to check
+ * @param {string} where - description of where the value is, for the message
+ * @param {Set} [seen] - objects already visited, to detect cycles
+ * @returns {string} - description of the problem, null if there is none
+ */
+function findUnserialisable(value, where, seen){
+  const type = typeof value;
+  if (value === null || value === undefined || type == 'string' || type == 'boolean'){
+    return null;
+  } else if (type == 'number'){
+    return isFinite(value) ? null : `${where} is ${value}`;
+  } else if (type != 'object'){
+    return `${where} is a ${type}`;
+  } else if (!Array.isArray(value) && !isPlainObject(value)){
+    return `${where} is a ${Object.prototype.toString.call(value).slice(8, -1)}`;
+  }
+  seen = seen || new Set();
+  if (seen.has(value)){
+    return `${where} is circular`;
+  }
+  seen.add(value);
+  const keys = Object.keys(value);
+  for (let index = 0; index < keys.length; index ++){
+    const key = Array.isArray(value) ? keys[index] : JSON.stringify(keys[index]);
+    const problem = findUnserialisable(value[keys[index]], `${where}[${key}]`, seen);
+    if (problem){
+      return problem;
+    }
+  }
+  seen.delete(value);
+  return null;
+}
+
+/**
+ * checkpoint store keeping results in memory, for tests or flows that only need to survive cancellation.
+ * @returns {Object} - store with load, save and clear methods
+ */
+function memoryStore(){
+  const flows = new Map();
+  return {
+    load(flowId, callback){
+      const saved = flows.get(flowId);
+      callback(null, saved ? JSON.parse(JSON.stringify(saved)) : null);
+    },
+    save(flowId, name, entry, callback){
+      const saved = flows.get(flowId) || {checkpoints: {}};
+      saved.checkpoints[name] = entry;
+      flows.set(flowId, saved);
+      callback(null);
+    },
+    clear(flowId, callback){
+      flows.delete(flowId);
+      callback(null);
+    },
+  };
+}
+
+/**
+ * checkpoint store keeping each flow's results in a JSON file in a directory, written atomically.
+ * @param {string} directory - existing directory to keep the files in
+ * @returns {Object} - store with load, save and clear methods
+ */
+function fileStore(directory){
+  let queue = Promise.resolve(); // writes happen one at a time
+
+  function fileFor(flowId){
+    return path.join(directory, `${encodeURIComponent(flowId)}.json`);
+  }
+
+  function load(flowId, callback){
+    fs.readFile(fileFor(flowId), 'utf8', (err, json) => {
+      if (err){
+        return callback(err.code == 'ENOENT' ? null : err, null);
+      }
+      let saved;
+      try {
+        saved = JSON.parse(json);
+      } catch(parseErr){
+        return callback(parseErr);
+      }
+      callback(null, saved);
+    });
+  }
+
+  function enqueue(task, callback){
+    queue = queue.then(() => new Promise(resolve => task(err => {
+      resolve();
+      callback(err || null);
+    })));
+  }
+
+  return {
+    load: load,
+    save(flowId, name, entry, callback){
+      enqueue(done => load(flowId, (err, saved) => {
+        if (err){
+          return done(err);
+        }
+        saved = saved || {checkpoints: {}};
+        saved.checkpoints[name] = entry;
+        const file = fileFor(flowId);
+        const temporary = `${file}.${process.pid}.tmp`;
+        fs.writeFile(temporary, JSON.stringify(saved), err => err ? done(err) : fs.rename(temporary, file, done));
+      }), callback);
+    },
+    clear(flowId, callback){
+      enqueue(done => fs.unlink(fileFor(flowId), err => done(err && err.code != 'ENOENT' ? err : null)), callback);
+    },
+  };
+}
+
+/**
+ * choose how flows are resumed after promises and `yield;`, and how timers are run.
+ * @param {(string|Object)} strategy - 'microtask' (the default), 'immediate' or 'timeout',
+ *   or an object with any of resume, yieldTurn, setTimer, clearTimer and now to replace
+ * @returns {Object} - flatback, for chaining
+ */
+function setScheduler(strategy){
+  if (typeof strategy == 'string'){
+    if (!schedulers[strategy]){
+      throw new TypeError(`Unknown flatback scheduler ${strategy}, use one of ${Object.keys(schedulers).join(', ')}`);
+    }
+    scheduler = Object.assign({}, timers, schedulers[strategy]);
+  } else {
+    scheduler = Object.assign({}, timers, schedulers.microtask, strategy);
+  }
+  return module.exports;
+}
+
+/**
+ * get the scheduler flows currently use, e.g. to put it back with setScheduler after replacing it.
+ * @returns {Object} - copy of the scheduler, with resume, yieldTurn, setTimer, clearTimer and now
+ */
+function getScheduler(){
+  return Object.assign({}, scheduler);
+}
+
 module.exports = {
     func: func,
     exec: exec,
     once: once,
     async: async,
+    callbackify: callbackify,
+    promisify: promisify,
+    timeout: timeout,
+    limit: limit,
+    allSettled: allSettled,
+    race: race,
+    any: any,
+    iterate: iterate,
+    retry: retry,
+    strict: strict,
+    typed: typed,
+    memo: memo,
+    batcher: batcher,
+    on: on,
+    off: off,
+    debug: debug,
+    instrument: instrument,
+    spanHooks: spanHooks,
+    memoryExporter: memoryExporter,
+    fileExporter: fileExporter,
+    diagnostics: diagnostics,
+    pending: pending,
+    context: context,
+    setScheduler: setScheduler,
+    getScheduler: getScheduler,
+    channel: channel,
+    select: select,
+    CLOSED: CLOSED,
+    Semaphore: Semaphore,
+    Mutex: Mutex,
+    Event: Event,
+    Barrier: Barrier,
+    event: event,
+    readStream: readStream,
+    pipeline: pipeline,
+    scope: supervisedScope,
+    durable: durable,
+    checkpoint: checkpoint,
+    memoryStore: memoryStore,
+    fileStore: fileStore,
+    CancelError: CancelError,
+    TimeoutError: TimeoutError,
+    AggregateError: AggregateError,
+    ChannelClosedError: ChannelClosedError,
 };
\ No newline at end of file
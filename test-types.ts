@@ -0,0 +1,152 @@
+// type level tests for index.d.ts, checked by `npm run test:types` rather than run
+
+import flatback = require('./index');
+import testing = require('./testing');
+
+type Equal<X, Y> = (<T>() => T extends X ? 1 : 2) extends (<T>() => T extends Y ? 1 : 2) ? true : false;
+function expectType<T extends true>(){}
+
+interface Thing {
+    id: number;
+}
+
+declare function getThingFromId(id: number, callback: (error: Error | null, thing: Thing) => void): void;
+declare function fetchName(id: number): Promise<string>;
+declare function setTimeout(callback: () => void, ms: number): unknown;
+
+// func, exec, callbackify and async keep parameter types and length
+const handler = flatback.func(function* (id: number, name: string){
+    yield;
+});
+expectType<Equal<typeof handler.length, 2>>();
+expectType<Equal<Parameters<typeof handler>, [id: number, name: string]>>();
+expectType<Equal<ReturnType<typeof handler>, flatback.FlowHandle>>();
+// @ts-expect-error the first argument is a number
+handler('13', 'name');
+
+flatback.exec(function* (){
+    yield;
+}, {timeout: 1000, name: 'exec'}).cancel();
+
+const getName = flatback.async(function* (id: number){
+    return yield* flatback.typed(fetchName(id));
+});
+expectType<Equal<typeof getName.length, 1>>();
+expectType<Equal<ReturnType<typeof getName>, flatback.CancellablePromise<string>>>();
+
+const callbackGetName = flatback.callbackify(function* (id: number){
+    return id;
+});
+expectType<Equal<typeof callbackGetName.length, 2>>();
+callbackGetName(13, (error, result) => {
+    expectType<Equal<typeof result, number | undefined>>();
+});
+
+const promiseGetThing = flatback.promisify(getThingFromId);
+expectType<Equal<ReturnType<typeof promiseGetThing>, Promise<Thing>>>();
+expectType<Equal<typeof promiseGetThing.length, 1>>();
+
+// yield results are inferred through flatback.typed
+flatback.exec(function* (){
+    const name = yield* flatback.typed(fetchName(13));
+    expectType<Equal<typeof name, string>>();
+
+    const callbackResult = yield* flatback.typed((callback: (error: Error | null, thing: Thing) => void) => getThingFromId(13, callback));
+    expectType<Equal<typeof callbackResult, [error: Error | null, thing: Thing]>>();
+
+    const untypedCallback = yield* flatback.typed(callback => setTimeout(callback, 0));
+    expectType<Equal<typeof untypedCallback, any[]>>();
+
+    const twoCallbacks = yield* flatback.typed((success: (value: number) => void, failure: (reason: string) => void) => success(1));
+    expectType<Equal<typeof twoCallbacks, [[value: number], [reason: string]]>>();
+
+    const nothing = yield* flatback.typed(undefined);
+    expectType<Equal<typeof nothing, []>>();
+
+    const synchronous = yield* flatback.typed(() => 13);
+    expectType<Equal<typeof synchronous, []>>();
+
+    const mapped = yield* flatback.typed([fetchName(1), (callback: (error: Error | null, thing: Thing) => void) => getThingFromId(2, callback)]);
+    expectType<Equal<typeof mapped, [string, [error: Error | null, thing: Thing]]>>();
+
+    const object = yield* flatback.typed({name: fetchName(1), nested: [fetchName(2)]});
+    expectType<Equal<typeof object, {name: string, nested: [string]}>>();
+
+    const subFlow = yield* flatback.typed(function* (){
+        return 13;
+    });
+    expectType<Equal<typeof subFlow, number>>();
+
+    const asyncFlow = yield* flatback.typed(getName);
+    expectType<Equal<typeof asyncFlow, string>>();
+
+    const plain = yield fetchName(13);
+    expectType<Equal<typeof plain, any>>();
+});
+
+// yieldables carry their results
+flatback.exec(function* (){
+    const timed = yield* flatback.typed(flatback.timeout(100, fetchName(1)));
+    expectType<Equal<typeof timed, string>>();
+
+    const strictResult = yield* flatback.typed(flatback.strict((callback: (error: Error | null, thing: Thing) => void) => getThingFromId(1, callback)));
+    expectType<Equal<typeof strictResult, [thing: Thing]>>();
+
+    const raced = yield* flatback.typed(flatback.race([fetchName(1), Promise.resolve(2)]));
+    expectType<Equal<typeof raced, string | number>>();
+
+    const settled = yield* flatback.typed(flatback.allSettled([fetchName(1)]));
+    expectType<Equal<typeof settled, [flatback.SettledResult<string>]>>();
+
+    const limited = yield* flatback.typed(flatback.limit(2, [fetchName(1), fetchName(2)]));
+    expectType<Equal<typeof limited, string[]>>();
+
+    const retried = yield* flatback.typed(flatback.retry({attempts: 2}, attempt => fetchName(attempt)));
+    expectType<Equal<typeof retried, string>>();
+
+    const memoGetThing = flatback.memo(getThingFromId, {ttl: 1000});
+    expectType<Equal<typeof memoGetThing.length, 1>>();
+    const memoised = yield* flatback.typed(memoGetThing(13));
+    expectType<Equal<typeof memoised, [error: Error | null, thing: Thing]>>();
+
+    const loadThing = flatback.batcher((ids: number[], callback: (error: Error | null, things: Thing[]) => void) => callback(null, []));
+    const batched = yield* flatback.typed(loadThing(13));
+    expectType<Equal<typeof batched, [error: any, result?: Thing]>>();
+
+    const numbers = flatback.channel<number>(1);
+    yield numbers.put(1);
+    const taken = yield* flatback.typed(numbers.take());
+    expectType<Equal<typeof taken, number | typeof flatback.CLOSED>>();
+
+    const scoped = yield* flatback.typed(flatback.scope(function* (scope){
+        const child = scope.spawn(function* (id: number){
+            return id;
+        }, 1);
+        return yield* flatback.typed(child.join());
+    }));
+    expectType<Equal<typeof scoped, number>>();
+
+    const release = yield* flatback.typed(new flatback.Mutex().lock());
+    expectType<Equal<typeof release, () => void>>();
+});
+
+// @ts-expect-error a promise result is not a list of arguments to spread
+flatback.once(fetchName(1), name => {});
+flatback.once((callback: (error: Error | null, thing: Thing) => void) => getThingFromId(1, callback), (error, thing) => {
+    expectType<Equal<typeof thing, Thing>>();
+});
+
+const placeOrder = flatback.durable(function* (id: number){
+    return yield* flatback.typed(flatback.checkpoint('fetch', fetchName(id)));
+}, {store: flatback.memoryStore()});
+expectType<Equal<typeof placeOrder.length, 2>>();
+expectType<Equal<ReturnType<typeof placeOrder>, flatback.CancellablePromise<string>>>();
+
+// the testing harness
+const harness = testing.harness();
+const fakeGetThing = harness.fake('getThing', call => call.callback(null, {id: call.args[0]}));
+const run = harness.run(function* (id: number){
+    return yield* flatback.typed((callback: (error: Error | null, thing: Thing) => void) => fakeGetThing(id, callback));
+}, [13]);
+run.assertParkedOn(fakeGetThing);
+harness.advance(10).restore();
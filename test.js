@@ -2,6 +2,7 @@
 
 const assert = require('assert');
 const flatback = require('./index');
+const testing = require('./testing');
 
 describe('flatback.func', () => {
   it('works', (done) => {
@@ -320,7 +321,7 @@ describe('errors', function () {
       null,
       180,
       "360",
-      function*(){},
+      true,
       (callback) => {
         assert.fail('something', 'broke', 'oops1');
       },
@@ -364,7 +365,7 @@ describe('errors', function () {
         messageSubStr: 'String: 360',
         name: 'TypeError'
       }, {
-        messageSubStr: 'GeneratorFunction:',
+        messageSubStr: 'Boolean: true',
         name: 'TypeError'
       }, {
         messageSubStr: 'oops1',
@@ -388,4 +389,1802 @@ describe('errors', function () {
     });
     done();
   }));
-});
\ No newline at end of file
+
+  it('thrown while a yieldable starts can be caught', (done) => {
+    const testF = flatback.async(function* (){
+      const caught = [];
+      for (const badYield of [() => flatback.limit(2, 5), () => flatback.select([5]), () => flatback.race(null)]){
+        try {
+          yield badYield();
+          assert.fail('should throw');
+        } catch(err){
+          caught.push(err.name);
+        }
+      }
+      return caught;
+    });
+    testF().then(caught => {
+      assert.deepEqual(caught, ['TypeError', 'TypeError', 'TypeError']);
+      done();
+    }).catch(done);
+  });
+});
+describe('cancellation', function () {
+  it('runs finally blocks and rejects flatback.async with a CancelError', (done) => {
+    const events = [];
+    const testF = flatback.async(function* (){
+      try {
+        yield callback => {
+          const timer = setTimeout(callback, 1000);
+          return () => clearTimeout(timer);
+        };
+        events.push('never reached');
+      } finally {
+        events.push('finally');
+      }
+    });
+
+    const promise = testF();
+    setTimeout(() => promise.cancel(), 10);
+    promise.catch(err => {
+      assert(err instanceof flatback.CancelError, 'should reject with a CancelError');
+      assert.equal(err.name, 'CancelError');
+      assert.deepEqual(events, ['finally']);
+      done();
+    });
+  });
+
+  it('calls the teardown returned by the pending yielded function', (done) => {
+    let cleared = false;
+    const handle = flatback.exec(function* (){
+      yield callback => {
+        const timer = setTimeout(callback, 1000);
+        return reason => {
+          assert.equal(reason.name, 'CancelError');
+          clearTimeout(timer);
+          cleared = true;
+        };
+      };
+      assert.fail('should not resume after cancellation');
+    });
+    handle.cancel();
+    assert(cleared, 'teardown should be called');
+    done();
+  });
+
+  it('accepts an AbortSignal-like option', (done) => {
+    const listeners = [];
+    const signal = {
+      aborted: false,
+      addEventListener: (name, listener) => listeners.push(listener),
+      removeEventListener: () => {},
+    };
+    const testF = flatback.async(function* (){
+      yield Promise.resolve();
+      yield callback => {
+        const timer = setTimeout(callback, 1000);
+        return () => clearTimeout(timer);
+      };
+    }, {signal: signal});
+
+    testF().catch(err => {
+      assert.equal(err.name, 'CancelError');
+      done();
+    });
+    setTimeout(() => listeners.forEach(listener => listener()), 10);
+  });
+
+  (typeof AbortController == 'function' ? it : it.skip)('rejects with a CancelError when a real AbortController aborts', () => {
+    const controller = new AbortController();
+    const testF = flatback.async(function* (){
+      yield callback => {
+        const timer = setTimeout(callback, 1000);
+        return () => clearTimeout(timer);
+      };
+    }, {signal: controller.signal});
+
+    const promise = testF().then(() => assert.fail('should reject'), err => {
+      assert(err instanceof flatback.CancelError);
+      assert.equal(err.cause.name, 'AbortError');
+      return testF().then(() => assert.fail('should reject'), err => {
+        assert(err instanceof flatback.CancelError, 'flows started after the abort are cancelled too');
+      });
+    });
+    controller.abort();
+    return promise;
+  });
+
+  it('can cancel itself from inside the generator', (done) => {
+    let handle;
+    const events = [];
+    handle = flatback.exec(function* (){
+      try {
+        yield;
+        handle.cancel();
+        events.push('still runs until the next yield');
+        yield callback => assert.fail('should not run the yielded function');
+      } finally {
+        events.push('finally');
+        assert.deepEqual(events, ['still runs until the next yield', 'finally']);
+        done();
+      }
+    });
+  });
+});
+
+describe('timeouts', function () {
+  it('throw a TimeoutError in to the generator and tear down the yield', flatback.func(function* (done){
+    let tornDownWith;
+    try {
+      yield flatback.timeout(10, callback => {
+        const timer = setTimeout(callback, 1000);
+        return reason => {
+          tornDownWith = reason;
+          clearTimeout(timer);
+        };
+      });
+      assert.fail('should have timed out');
+    } catch(err){
+      assert(err instanceof flatback.TimeoutError, 'should throw a TimeoutError');
+      assert.equal(err.timeout, 10);
+      assert.equal(tornDownWith, err, 'teardown should get the same error');
+    }
+    done();
+  }));
+
+  it('pass through results that arrive in time', flatback.func(function* (done){
+    const [err, result] = yield flatback.timeout(100, callback => setTimeout(() => callback('err', 'success'), 0));
+    assert.equal(err, 'err');
+    assert.equal(result, 'success');
+    const value = yield flatback.timeout(100, Promise.resolve('value'));
+    assert.equal(value, 'value');
+    done();
+  }));
+
+  it('can be set as a deadline for a whole flow', (done) => {
+    const events = [];
+    const testF = flatback.async(function* (){
+      try {
+        yield;
+        yield callback => {
+          const timer = setTimeout(callback, 1000);
+          return () => clearTimeout(timer);
+        };
+      } finally {
+        events.push('finally');
+      }
+    }, {timeout: 10});
+
+    testF().catch(err => {
+      assert.equal(err.name, 'TimeoutError');
+      assert.deepEqual(events, ['finally']);
+      done();
+    });
+  });
+
+  it('throw a deadline in to the generator, reaching onError if uncaught', (done) => {
+    let tornDownWith = null;
+    const slow = callback => {
+      const timer = setTimeout(callback, 1000);
+      return reason => {
+        tornDownWith = reason;
+        clearTimeout(timer);
+      };
+    };
+    flatback.exec(function* (){
+      try {
+        yield slow;
+      } catch(err){
+        assert(err instanceof flatback.TimeoutError);
+        assert.equal(tornDownWith, err, 'teardown should get the same error');
+        flatback.exec(function* (){
+          yield slow;
+        }, {timeout: 10, onError: err => {
+          assert.equal(err.timeout, 10);
+          done();
+        }});
+      }
+    }, {timeout: 10});
+  });
+});
+
+describe('flatback.limit', function () {
+  it('keeps at most n elements in flight and returns results in order', () => {
+    const harness = testing.harness();
+    try {
+      let active = 0;
+      let maxActive = 0;
+      const finished = [];
+      const thunks = [30, 10, 20, 0, 5].map((ms, index) => callback => {
+        active ++;
+        maxActive = Math.max(maxActive, active);
+        harness.after(ms, () => {
+          active --;
+          finished.push(index);
+          callback(null, index);
+        });
+      });
+      const run = harness.run(function* (){
+        return yield flatback.limit(2, thunks);
+      });
+      harness.advance(25);
+      assert.deepEqual(finished, [1]);
+      run.assertParkedOn('flatback.limit');
+      harness.runAll();
+      assert.deepEqual(finished, [1, 0, 2, 3, 4]);
+      assert.equal(harness.now(), 35, 'the last element should start at 30ms and take 5ms');
+      assert.deepEqual(run.result, [[null, 0], [null, 1], [null, 2], [null, 3], [null, 4]]);
+      assert.equal(maxActive, 2, 'should never run more than 2 at once');
+    } finally {
+      harness.restore();
+    }
+  });
+
+  it('takes elements lazily from a generator', flatback.func(function* (done){
+    const taken = [];
+    function* thunks(){
+      for (let index = 0; index < 100; index ++){
+        taken.push(index);
+        yield Promise.resolve(index);
+      }
+    }
+    const results = yield flatback.limit(3, thunks());
+    assert.equal(results.length, 100);
+    assert.equal(results[99], 99);
+    done();
+  }));
+
+  it('stops taking elements after the first exception', flatback.func(function* (done){
+    let closed = false;
+    function* thunks(){
+      try {
+        yield callback => setTimeout(callback, 0);
+        yield callback => {
+          throw new Error('err');
+        };
+        assert.fail('should not be taken');
+      } finally {
+        closed = true;
+      }
+    }
+    try {
+      yield flatback.limit(1, thunks());
+    } catch(err){
+      assert.equal(err.message, 'err');
+      assert(closed, 'generator should be closed');
+      done();
+    }
+  }));
+
+  it('handles long synchronous runs without growing the stack', flatback.func(function* (done){
+    const thunks = new Array(20000).fill(callback => callback('sync'));
+    const results = yield flatback.limit(5, thunks);
+    assert.equal(results.length, 20000);
+    done();
+  }));
+});
+
+describe('combinators', function () {
+  it('allSettled records every outcome', flatback.func(function* (done){
+    const results = yield flatback.allSettled([
+      callback => callback('err1', 'success1'),
+      callback => {
+        throw new Error('thrown');
+      },
+      Promise.reject(new Error('rejected')),
+      Promise.resolve('resolved'),
+    ]);
+    assert.deepEqual(results[0], {status: 'fulfilled', value: ['err1', 'success1']});
+    assert.equal(results[1].status, 'rejected');
+    assert.equal(results[1].reason.message, 'thrown');
+    assert.equal(results[2].status, 'rejected');
+    assert.equal(results[2].reason.message, 'rejected');
+    assert.deepEqual(results[3], {status: 'fulfilled', value: 'resolved'});
+    done();
+  }));
+
+  it('race returns the first to complete and cancels the rest', flatback.func(function* (done){
+    let cancelled = false;
+    const result = yield flatback.race([
+      callback => {
+        const timer = setTimeout(() => callback('slow'), 1000);
+        return () => {
+          clearTimeout(timer);
+          cancelled = true;
+        };
+      },
+      callback => setTimeout(() => callback('fast'), 0),
+    ]);
+    assert.deepEqual(result, ['fast']);
+    assert(cancelled, 'slower function should be cancelled');
+    done();
+  }));
+
+  it('race throws if the first to complete fails', flatback.func(function* (done){
+    try {
+      yield flatback.race([
+        new Promise(resolve => setTimeout(resolve, 50)),
+        Promise.reject(new Error('err')),
+      ]);
+    } catch(err){
+      assert.equal(err.message, 'err');
+      done();
+    }
+  }));
+
+  it('any returns the first success', flatback.func(function* (done){
+    const result = yield flatback.any([
+      Promise.reject(new Error('err')),
+      new Promise(resolve => setTimeout(() => resolve('success'), 10)),
+    ]);
+    assert.equal(result, 'success');
+    done();
+  }));
+
+  it('any throws an AggregateError if everything fails', flatback.func(function* (done){
+    try {
+      yield flatback.any([
+        Promise.reject(new Error('err1')),
+        callback => {
+          throw new Error('err2');
+        },
+      ]);
+    } catch(err){
+      assert(err instanceof flatback.AggregateError, 'should be an AggregateError');
+      assert.deepEqual(err.errors.map(error => error.message), ['err1', 'err2']);
+      done();
+    }
+  }));
+});
+
+describe('yielded objects', () => {
+  it('return results under the same keys', flatback.func(function* (done){
+    const {user, orders, nested} = yield {
+      user: callback => setTimeout(() => callback(null, 'user'), 0),
+      orders: Promise.resolve(['order']),
+      nested: {
+        list: [Promise.resolve('a'), callback => callback('b')],
+      },
+    };
+    assert.deepEqual(user, [null, 'user']);
+    assert.deepEqual(orders, ['order']);
+    assert.deepEqual(nested, {list: ['a', ['b']]});
+    done();
+  }));
+
+  it('can be empty', flatback.func(function* (done){
+    const result = yield {};
+    assert.deepEqual(result, {});
+    done();
+  }));
+
+  it('throw the first exception', flatback.func(function* (done){
+    try {
+      yield {
+        first: callback => {
+          throw new Error('err');
+        },
+        second: callback => assert.fail('should not be visited'),
+      };
+    } catch(err){
+      assert.equal(err.message, 'err');
+      done();
+    }
+  }));
+
+  it('must be plain', flatback.func(function* (done){
+    try {
+      yield new Date();
+    } catch(err){
+      assert.equal(err.name, 'TypeError');
+      done();
+    }
+  }));
+});
+
+describe('yielded thenables and nested flows', () => {
+  it('treat any object with a then method as a promise', flatback.func(function* (done){
+    const thenable = {
+      then: (resolve, reject) => setTimeout(() => resolve('success'), 0),
+    };
+    const result = yield thenable;
+    assert.equal(result, 'success');
+    class SubPromise extends Promise {}
+    try {
+      yield SubPromise.reject(new Error('err'));
+    } catch(err){
+      assert.equal(err.message, 'err');
+      done();
+    }
+  }));
+
+  it('run generators, generator functions and flatback.async functions as nested flows', flatback.func(function* (done){
+    const fromGenerator = yield (function* (){
+      const [result] = yield callback => callback('nested');
+      return result;
+    })();
+    assert.equal(fromGenerator, 'nested');
+
+    const fromGeneratorFunction = yield function* (){
+      return yield Promise.resolve('nested function');
+    };
+    assert.equal(fromGeneratorFunction, 'nested function');
+
+    const fromAsync = yield flatback.async(function* (){
+      yield;
+      return 'nested async';
+    });
+    assert.equal(fromAsync, 'nested async');
+    done();
+  }));
+
+  it('propagate exceptions from nested flows', flatback.func(function* (done){
+    try {
+      yield function* (){
+        yield;
+        throw new Error('nested err');
+      };
+    } catch(err){
+      assert.equal(err.message, 'nested err');
+      done();
+    }
+  }));
+
+  it('cancel nested flows with their parent', (done) => {
+    const events = [];
+    const promise = flatback.async(function* (){
+      yield function* (){
+        try {
+          yield callback => {
+            const timer = setTimeout(callback, 1000);
+            return () => clearTimeout(timer);
+          };
+        } finally {
+          events.push('nested finally');
+        }
+      };
+    })();
+    setTimeout(() => promise.cancel(), 0);
+    promise.catch(err => {
+      assert.equal(err.name, 'CancelError');
+      assert.deepEqual(events, ['nested finally']);
+      done();
+    });
+  });
+});
+
+describe('flatback.iterate', () => {
+  it('consumes async iterators one step at a time', flatback.func(function* (done){
+    let index = 0;
+    const source = {
+      [Symbol.asyncIterator]: () => ({
+        next: () => Promise.resolve(index < 3 ? {done: false, value: index ++} : {done: true}),
+      }),
+    };
+    const values = [];
+    const pages = flatback.iterate(source);
+    let page;
+    while (!(page = yield pages.next()).done){
+      values.push(page.value);
+    }
+    assert.deepEqual(values, [0, 1, 2]);
+    done();
+  }));
+
+  it('consumes async generators and closes them early', flatback.func(function* (done){
+    let closed = false;
+    const source = (async function* (){
+      try {
+        yield 'first';
+        yield 'second';
+      } finally {
+        closed = true;
+      }
+    })();
+    const iterator = flatback.iterate(source);
+    const first = yield iterator.next();
+    assert.deepEqual(first, {done: false, value: 'first'});
+    yield iterator.return();
+    assert(closed, 'async generator should be closed');
+    done();
+  }));
+});
+
+describe('flatback.retry', () => {
+  it('retries callback errors passed as data', flatback.func(function* (done){
+    const attempts = [];
+    const [err, result] = yield flatback.retry({delay: 1}, attempt => callback => {
+      attempts.push(attempt);
+      callback(attempt < 3 ? new Error('flaky') : null, 'success');
+    });
+    assert.equal(err, null);
+    assert.equal(result, 'success');
+    assert.deepEqual(attempts, [1, 2, 3]);
+    done();
+  }));
+
+  it('throws the last exception once attempts run out', flatback.func(function* (done){
+    let count = 0;
+    try {
+      yield flatback.retry({attempts: 2, delay: 1}, attempt => {
+        count ++;
+        return Promise.reject(new Error(`fail ${attempt}`));
+      });
+    } catch(err){
+      assert.equal(err.message, 'fail 2');
+      assert.equal(count, 2);
+      done();
+    }
+  }));
+
+  it('uses the retryIf predicate', flatback.func(function* (done){
+    const seen = [];
+    const result = yield flatback.retry({
+      attempts: 5,
+      delay: 1,
+      jitter: false,
+      retryIf: (err, result, attempt) => {
+        seen.push([err, result, attempt]);
+        return result.status == 503;
+      },
+    }, attempt => Promise.resolve({status: attempt < 2 ? 503 : 200}));
+    assert.deepEqual(result, {status: 200});
+    assert.deepEqual(seen, [[null, {status: 503}, 1], [null, {status: 200}, 2]]);
+    done();
+  }));
+
+  it('retries only thrown callback errors in strict mode', (done) => {
+    const attempts = [];
+    const testF = flatback.async(function* (){
+      return yield flatback.retry({attempts: 3, delay: 1}, attempt => callback => {
+        attempts.push(attempt);
+        callback(attempt < 2 ? new Error('flaky') : null, 'data');
+      });
+    }, {strict: true});
+    testF().then(result => {
+      assert.deepEqual(result, ['data']);
+      assert.deepEqual(attempts, [1, 2]);
+      done();
+    }).catch(done);
+  });
+});
+
+describe('flatback.typed', () => {
+  it('yields the value through yield* and returns its result', flatback.func(function* (done){
+    const [err, result] = yield* flatback.typed(callback => callback('err', 'success'));
+    assert.equal(err, 'err');
+    assert.equal(result, 'success');
+    assert.deepEqual(yield* flatback.typed([Promise.resolve(1), Promise.resolve(2)]), [1, 2]);
+    try {
+      yield* flatback.typed(Promise.reject(new Error('rejected')));
+    } catch(err){
+      assert.equal(err.message, 'rejected');
+      done();
+    }
+  }));
+});
+
+describe('flatback.retry with a virtual clock', () => {
+  let harness;
+  beforeEach(() => {
+    harness = testing.harness();
+  });
+  afterEach(() => harness.restore());
+
+  it('stops retrying once the yield is cancelled', () => {
+    const attempt = harness.deferred('attempt', call => harness.after(20, () => call.reject(new Error('flaky'))));
+    const run = harness.run(function* (){
+      yield flatback.retry({attempts: 5, delay: 1}, () => attempt());
+    });
+    harness.advance(5);
+    run.cancel();
+    const raced = harness.run(function* (){
+      yield flatback.race([flatback.retry({attempts: 5, delay: 1}, () => attempt()), callback => callback()]);
+    });
+    harness.runAll();
+    assert(run.cancelled);
+    raced.assertDone();
+    assert.equal(attempt.calls.length, 2, 'each retry should only have made its first attempt');
+  });
+
+  it('does not mistake promises resolving to arrays for callback errors', () => {
+    let count = 0;
+    const run = harness.run(function* (){
+      return yield flatback.retry({delay: 1}, () => {
+        count ++;
+        return Promise.resolve(['a', 'b']);
+      });
+    });
+    return Promise.resolve().then(() => {
+      harness.runAll();
+      assert.deepEqual(run.result, ['a', 'b']);
+      assert.equal(count, 1);
+    });
+  });
+});
+
+describe('strict mode', () => {
+  it('throws callback errors and returns the remaining arguments', flatback.func(function* (done){
+    const [result1, result2] = yield flatback.strict(callback => callback(null, 'success1', 'success2'));
+    assert.equal(result1, 'success1');
+    assert.equal(result2, 'success2');
+    try {
+      yield flatback.strict(callback => setTimeout(() => callback(new Error('err')), 0));
+      assert.fail('should throw');
+    } catch(err){
+      assert.equal(err.message, 'err');
+    }
+    const notStrict = yield callback => callback('err');
+    assert.deepEqual(notStrict, ['err'], 'only the marked yield should be strict');
+    done();
+  }));
+
+  it('combines errors from multiple callbacks', flatback.func(function* (done){
+    const [[a], [b]] = yield flatback.strict((callback1, callback2) => {
+      callback1(null, 'a');
+      callback2(undefined, 'b');
+    });
+    assert.equal(a, 'a');
+    assert.equal(b, 'b');
+    try {
+      yield flatback.strict((callback1, callback2, callback3) => {
+        callback1('err1');
+        callback2(null, 'fine');
+        callback3('err3');
+      });
+    } catch(err){
+      assert(err instanceof flatback.AggregateError, 'should be an AggregateError');
+      assert.deepEqual(err.errors, ['err1', 'err3']);
+      done();
+    }
+  }));
+
+  it('can be set for a whole flow', (done) => {
+    const testF = flatback.async(function* (){
+      const [results] = yield [callback => callback(null, 'success')];
+      assert.deepEqual(results, ['success']);
+      yield callback => callback(new Error('err'));
+    }, {strict: true});
+
+    testF().catch(err => {
+      assert.equal(err.message, 'err');
+      done();
+    });
+  });
+});
+
+describe('flatback.promisify', () => {
+  it('resolves with the value passed to the callback', (done) => {
+    const getThing = flatback.promisify((id, callback) => setTimeout(() => callback(null, `thing${id}`), 0));
+    assert.equal(getThing.length, 1);
+    getThing(13).then(thing => {
+      assert.equal(thing, 'thing13');
+      done();
+    });
+  });
+
+  it('resolves with an array when the callback gets multiple values and uses only the first call', (done) => {
+    flatback.promisify(callback => {
+      callback(null, 'a', 'b');
+      callback(new Error('ignored'));
+    })().then(result => {
+      assert.deepEqual(result, ['a', 'b']);
+      done();
+    });
+  });
+
+  it('rejects with errors passed to the callback or thrown', (done) => {
+    flatback.promisify(callback => callback(new Error('err')))().catch(err => {
+      assert.equal(err.message, 'err');
+      return flatback.promisify(callback => {
+        throw new Error('thrown');
+      })();
+    }).catch(err => {
+      assert.equal(err.message, 'thrown');
+      done();
+    });
+  });
+});
+
+describe('flatback.callbackify', () => {
+  it('passes the returned value to the callback', (done) => {
+    const testF = flatback.callbackify(function* (a){
+      const result = yield Promise.resolve(a);
+      return result;
+    });
+    assert.equal(testF.length, 2);
+    testF('foo', (err, result) => {
+      assert.equal(err, null);
+      assert.equal(result, 'foo');
+      done();
+    });
+  });
+
+  it('calls back asynchronously even if the flow finishes synchronously', (done) => {
+    const events = [];
+    flatback.callbackify(function* (a){
+      yield callback => callback();
+      return a;
+    })('foo', (err, result) => {
+      assert.equal(result, 'foo');
+      assert.deepEqual(events, ['returned']);
+      done();
+    });
+    events.push('returned');
+  });
+
+  it('passes uncaught exceptions to the callback', (done) => {
+    flatback.callbackify(function* (){
+      yield;
+      throw new Error('err');
+    })((err) => {
+      assert.equal(err.message, 'err');
+      done();
+    });
+  });
+});
+
+describe('unhandled errors', () => {
+  it('go to the onError option of flatback.func', (done) => {
+    flatback.func(function* (){
+      yield callback => setTimeout(callback, 0);
+      throw new Error('err');
+    }, {onError: err => {
+      assert.equal(err.message, 'err');
+      done();
+    }})();
+  });
+
+  it('go to unhandledError listeners, including from flatback.once callbacks', (done) => {
+    const errors = [];
+    function listener(err){
+      errors.push(err.message);
+      if (errors.length == 2){
+        flatback.off('unhandledError', listener);
+        assert.deepEqual(errors.sort(), ['exec err', 'once err']);
+        done();
+      }
+    }
+    flatback.on('unhandledError', listener);
+    flatback.exec(function* (){
+      yield;
+      throw new Error('exec err');
+    });
+    flatback.once(Promise.resolve(), () => {
+      throw new Error('once err');
+    });
+  });
+
+  it('report exceptions arriving after a flow was cancelled', (done) => {
+    const lateHandle = flatback.exec(function* (){
+      yield new Promise((resolve, reject) => setTimeout(() => reject(new Error('late rejection')), 10));
+    }, {onError: err => {
+      assert.equal(err.message, 'late rejection');
+      done();
+    }});
+    lateHandle.cancel();
+  });
+});
+
+describe('debug mode', () => {
+  it('adds a flatbackTrace naming the failed yield', flatback.func(function* (done){
+    yield;
+    try {
+      yield function* inner(){
+        yield Promise.resolve();
+        yield callback => {
+          throw new Error('err');
+        };
+      };
+    } catch(err){
+      assert.deepEqual(err.flatbackTrace.map(frame => [frame.flow, frame.yieldIndex, frame.waitingOn]), [
+        ['inner', 2, 'function with 1 callback'],
+        ['outer', 2, 'generatorfunction'],
+      ]);
+      assert.equal(typeof err.flatbackTrace[1].startedAt, 'string', 'should record where the flow started');
+      assert(err.stack.indexOf('at yield #2 of function with 1 callback in flow inner') != -1, 'should extend the stack');
+      done();
+    }
+  }, {debug: true, name: 'outer'}));
+
+  it('can be turned on globally and costs nothing when off', flatback.func(function* (done){
+    try {
+      yield Promise.reject(new Error('not traced'));
+    } catch(err){
+      assert.equal(err.flatbackTrace, undefined);
+    }
+    flatback.debug();
+    const traced = flatback.async(function* traced(){
+      yield flatback.timeout(1000, Promise.reject(new Error('traced')));
+    })();
+    flatback.debug(false);
+    try {
+      yield traced;
+    } catch(err){
+      assert.equal(err.flatbackTrace[0].flow, 'traced');
+      assert.equal(err.flatbackTrace[0].waitingOn, 'flatback.timeout');
+      done();
+    }
+  }));
+});
+
+describe('instrumentation', () => {
+  it('fires hooks for flows and yields', (done) => {
+    const events = [];
+    const uninstall = flatback.instrument({
+      onFlowStart: event => events.push(['start', event.flow, event.parentFlowId]),
+      onYield: event => events.push(['yield', event.flow, event.yieldIndex, event.waitingOn]),
+      onResolve: event => events.push(['resolve', event.flow, event.yieldIndex, event.callbackCount, event.elementDurations && event.elementDurations.length]),
+      onReject: event => events.push(['reject', event.flow, event.yieldIndex, event.error.message]),
+      onFlowEnd: event => events.push(['end', event.flow, event.yieldCount, typeof event.duration]),
+    });
+    const testF = flatback.async(function* instrumented(){
+      yield [callback => callback(), (callback1, callback2) => {
+        callback1();
+        callback2();
+      }];
+      try {
+        yield Promise.reject(new Error('err'));
+      } catch(err){}
+    });
+    testF().then(() => {
+      uninstall();
+      assert.deepEqual(events, [
+        ['start', 'instrumented', null],
+        ['yield', 'instrumented', 1, 'array of 2'],
+        ['resolve', 'instrumented', 1, 3, 2],
+        ['yield', 'instrumented', 2, 'promise'],
+        ['reject', 'instrumented', 2, 'err'],
+        ['end', 'instrumented', 2, 'number'],
+      ]);
+      done();
+    }).catch(done);
+  });
+
+  it('records spans for flows, yields and nested flows', (done) => {
+    const exporter = flatback.memoryExporter();
+    const uninstall = flatback.instrument(flatback.spanHooks(exporter));
+    const promise = flatback.async(function* outer(){
+      yield function* inner(){
+        yield;
+      };
+    })();
+
+    promise.then(() => {
+      uninstall();
+      const spans = {};
+      exporter.spans.forEach(span => {
+        spans[span.name] = spans[span.name] || [];
+        spans[span.name].push(span);
+      });
+      const outer = spans['flow outer'][0];
+      const inner = spans['flow inner'][0];
+      const outerYield = spans['yield #1'].find(span => span.parentSpanId == outer.spanId);
+      assert.equal(inner.parentSpanId, outerYield.spanId, 'nested flow should be a child of the yield');
+      assert.equal(inner.traceId, outer.traceId);
+      assert.equal(outer.status.code, 'OK');
+      assert.equal(exporter.spans.length, 4);
+      done();
+    }).catch(done);
+  });
+});
+
+describe('diagnostics', () => {
+  afterEach(() => flatback.diagnostics(false));
+
+  it('report callbacks called more than once', (done) => {
+    const reports = [];
+    flatback.diagnostics({multipleCalls: info => reports.push(info)});
+    flatback.exec(function* twice(){
+      yield (callback1, callback2) => {
+        callback1('first');
+        callback2();
+        callback1('second', 'call');
+      };
+      assert.equal(reports.length, 1);
+      assert.equal(reports[0].flow, 'twice');
+      assert.equal(reports[0].callbackIndex, 0);
+      assert.deepEqual(reports[0].discardedArgs, ['second', 'call']);
+      done();
+    });
+  });
+
+  it('can throw when callbacks are called more than once', () => {
+    flatback.diagnostics({multipleCalls: 'throw'});
+    assert.throws(() => {
+      flatback.once(callback => {
+        callback();
+        callback('again');
+      }, () => {});
+    }, /called more than once/);
+  });
+
+  it('list pending flows and detect stalls', (done) => {
+    flatback.diagnostics({
+      stallTimeout: 5,
+      onStall: info => {
+        assert.equal(info.flow, 'stalled');
+        const pending = flatback.pending();
+        assert.equal(pending.length, 1);
+        assert.equal(pending[0].waitingOn, 'function with 2 callbacks');
+        assert.deepEqual(pending[0].outstandingCallbacks, [{function: 'function with 2 callbacks', callbackIndexes: [1]}]);
+        handle.cancel();
+        assert.equal(flatback.pending().length, 0);
+        done();
+      },
+    });
+    const handle = flatback.exec(function* stalled(){
+      yield (callback1, callback2) => {
+        callback1();
+        const timer = setTimeout(callback2, 1000);
+        return () => clearTimeout(timer);
+      };
+    });
+  });
+});
+
+describe('flatback.context', () => {
+  it('is local to each flow and survives yields', (done) => {
+    const testF = flatback.async(function* (id){
+      flatback.context.set('requestId', id);
+      yield callback => setTimeout(callback, id == 'a' ? 10 : 0);
+      assert.equal(flatback.context.get('requestId'), id);
+      yield Promise.resolve();
+      return flatback.context.get('requestId');
+    });
+    Promise.all([testF('a'), testF('b')]).then(results => {
+      assert.deepEqual(results, ['a', 'b']);
+      assert.equal(flatback.context.get('requestId'), undefined, 'should not leak outside of flows');
+      done();
+    }).catch(done);
+  });
+
+  it('is inherited by nested flows without leaking back', flatback.func(function* (done){
+    flatback.context.set('user', 'parent user');
+    const seen = yield function* (){
+      const inherited = flatback.context.get('user');
+      flatback.context.set('user', 'child user');
+      yield;
+      return [inherited, flatback.context.get('user')];
+    };
+    assert.deepEqual(seen, ['parent user', 'child user']);
+    assert.equal(flatback.context.get('user'), 'parent user');
+    done();
+  }));
+
+  it('is visible to code called from yielded functions once async storage is used', function (done){
+    if (!flatback.context.useAsyncStorage()){
+      return this.skip();
+    }
+    flatback.exec(function* (){
+      flatback.context.set('logger', 'request logger');
+      function plainCallbackApi(callback){
+        setTimeout(() => callback(flatback.context.get('logger')), 0);
+      }
+      const [seen] = yield callback => plainCallbackApi(callback);
+      assert.equal(seen, 'request logger');
+      done();
+    });
+  });
+});
+
+describe('scheduling', () => {
+  afterEach(() => flatback.setScheduler('microtask'));
+
+  it('resumes after promises without waiting for a timer', flatback.func(function* (done){
+    const events = [];
+    setTimeout(() => events.push('timer'), 0);
+    for (let index = 0; index < 50; index ++){
+      yield Promise.resolve();
+    }
+    events.push('50 promises');
+    yield callback => setTimeout(callback, 0);
+    assert.deepEqual(events, ['50 promises', 'timer']);
+    done();
+  }));
+
+  it('keeps the stack flat for long synchronous runs', flatback.func(function* (done){
+    let count = 0;
+    for (let index = 0; index < 20000; index ++){
+      yield () => count ++;
+      yield callback => callback();
+    }
+    assert.equal(count, 20000);
+    done();
+  }));
+
+  it('can use a built in or custom strategy', (done) => {
+    const calls = [];
+    flatback.setScheduler({
+      resume: fn => {
+        calls.push('resume');
+        setImmediate(fn);
+      },
+      yieldTurn: fn => {
+        calls.push('yieldTurn');
+        setImmediate(fn);
+      },
+    });
+    flatback.exec(function* (){
+      yield Promise.resolve();
+      yield;
+      assert.deepEqual(calls, ['resume', 'yieldTurn']);
+      flatback.setScheduler('timeout');
+      yield;
+      done();
+    });
+    assert.throws(() => flatback.setScheduler('unknown'), TypeError);
+  });
+
+  it('can be put back after a harness replaced it', () => {
+    flatback.setScheduler('immediate');
+    const previous = flatback.getScheduler();
+    const harness = testing.harness();
+    assert.notEqual(flatback.getScheduler().resume, previous.resume);
+    harness.restore();
+    assert.deepEqual(flatback.getScheduler(), previous);
+  });
+});
+
+describe('flatback.channel', () => {
+  it('passes values from producers to consumers in order', (done) => {
+    const ch = flatback.channel(2);
+    const events = [];
+    flatback.exec(function* producer(){
+      for (let index = 0; index < 5; index ++){
+        yield ch.put(index);
+        events.push(`put ${index}`);
+      }
+      ch.close();
+    });
+    flatback.exec(function* consumer(){
+      let value;
+      const values = [];
+      while ((value = yield ch.take()) !== flatback.CLOSED){
+        values.push(value);
+        yield;
+      }
+      assert.deepEqual(values, [0, 1, 2, 3, 4]);
+      assert.deepEqual(events.slice(0, 2), ['put 0', 'put 1'], 'should buffer 2 values before blocking');
+      done();
+    });
+  });
+
+  it('blocks unbuffered puts until taken and rejects puts once closed', flatback.func(function* (done){
+    const ch = flatback.channel();
+    const events = [];
+    flatback.exec(function* (){
+      yield ch.put('a');
+      events.push('put returned');
+      try {
+        yield ch.put('b');
+      } catch(err){
+        events.push(err.name);
+      }
+    });
+    yield;
+    assert.deepEqual(events, []);
+    assert.equal(yield ch.take(), 'a');
+    yield;
+    ch.close();
+    yield;
+    assert.deepEqual(events, ['put returned', 'ChannelClosedError']);
+    assert.equal(yield ch.take(), flatback.CLOSED);
+    done();
+  }));
+
+  it('lets buffered values be drained after closing', flatback.func(function* (done){
+    const ch = flatback.channel(3);
+    yield [ch.put(1), ch.put(2)];
+    ch.close();
+    let drained = false;
+    flatback.exec(function* (){
+      yield ch.drained();
+      drained = true;
+    });
+    assert.equal(yield ch.take(), 1);
+    assert.equal(drained, false);
+    assert.equal(yield ch.take(), 2);
+    yield;
+    assert.equal(drained, true);
+    done();
+  }));
+
+  it('selects the first of several operations to proceed', flatback.func(function* (done){
+    const a = flatback.channel();
+    const b = flatback.channel();
+    setTimeout(() => flatback.exec(function* (){
+      yield b.put('from b');
+    }), 0);
+    const selected = yield flatback.select([a.take(), b.take()]);
+    assert.deepEqual(selected, {index: 1, value: 'from b'});
+
+    flatback.exec(function* (){
+      yield a.put('from a');
+    });
+    const next = yield flatback.select([a.take(), b.take()]);
+    assert.deepEqual(next, {index: 0, value: 'from a'});
+    done();
+  }));
+
+  it('takes the operations that lost a select off their channels', flatback.func(function* (done){
+    const a = flatback.channel();
+    const b = flatback.channel();
+    for (let index = 0; index < 3; index ++){
+      setTimeout(() => flatback.exec(function* (){
+        yield a.put(index);
+      }), 0);
+      assert.deepEqual(yield flatback.select([a.take(), b.take(), b.put('never taken')]), {index: 0, value: index});
+      assert.deepEqual(b.waiting, {takes: 0, puts: 0});
+    }
+
+    const handle = flatback.exec(function* (){
+      yield flatback.select([a.take(), b.put('cancelled')]);
+    });
+    assert.deepEqual(a.waiting, {takes: 1, puts: 0});
+    handle.cancel();
+    assert.deepEqual([a.waiting, b.waiting], [{takes: 0, puts: 0}, {takes: 0, puts: 0}]);
+    done();
+  }));
+});
+
+describe('synchronisation primitives', () => {
+  it('Mutex serves waiters in order and releases held locks when flows finish', (done) => {
+    const mutex = new flatback.Mutex();
+    const events = [];
+    const worker = flatback.async(function* (name){
+      yield mutex.hold();
+      events.push(`${name} locked`);
+      yield callback => setTimeout(callback, 5);
+      events.push(`${name} unlocking`);
+      if (name == 'b'){
+        throw new Error('b failed');
+      }
+    });
+    Promise.all([worker('a'), worker('b').catch(() => {}), worker('c')]).then(() => {
+      assert.deepEqual(events, ['a locked', 'a unlocking', 'b locked', 'b unlocking', 'c locked', 'c unlocking']);
+      assert.equal(mutex.locked, false);
+      done();
+    }).catch(done);
+  });
+
+  it('Semaphore limits holders and supports timeouts', flatback.func(function* (done){
+    const semaphore = new flatback.Semaphore(2);
+    const release1 = yield semaphore.acquire();
+    const release2 = yield semaphore.acquire();
+    try {
+      yield semaphore.acquire({timeout: 5});
+      assert.fail('should time out');
+    } catch(err){
+      assert.equal(err.name, 'TimeoutError');
+    }
+    assert.equal(semaphore.waiters.length, 0, 'timed out waiter should be removed');
+    setTimeout(release1, 0);
+    const release3 = yield semaphore.acquire({timeout: 100});
+    release1();
+    release2();
+    release3();
+    assert.equal(semaphore.available, 2, 'releasing twice should have no effect');
+    done();
+  }));
+
+  it('Semaphore releases held permits when a flow is cancelled', (done) => {
+    const semaphore = new flatback.Semaphore(1);
+    const handle = flatback.exec(function* (){
+      yield semaphore.hold();
+      yield callback => {
+        const timer = setTimeout(callback, 1000);
+        return () => clearTimeout(timer);
+      };
+    });
+    assert.equal(semaphore.available, 0);
+    handle.cancel();
+    assert.equal(semaphore.available, 1);
+    done();
+  });
+
+  it('Event wakes every waiter with its value', flatback.func(function* (done){
+    const ready = new flatback.Event();
+    setTimeout(() => ready.set('config'), 0);
+    const [first, second] = yield [ready.wait(), ready.wait()];
+    assert.deepEqual([first, second], ['config', 'config']);
+    assert.equal(yield ready.wait(), 'config');
+    done();
+  }));
+
+  it('Barrier waits for every party', flatback.func(function* (done){
+    const barrier = new flatback.Barrier(3);
+    const events = [];
+    const party = flatback.async(function* (name, ms){
+      yield callback => setTimeout(callback, ms);
+      events.push(`${name} arrived`);
+      yield barrier.wait();
+      events.push(`${name} released`);
+    });
+    yield [party('a', 0), party('b', 5), party('c', 10)];
+    assert.deepEqual(events.slice(0, 3), ['a arrived', 'b arrived', 'c arrived']);
+    assert.equal(events.length, 6);
+    done();
+  }));
+});
+
+describe('events and streams', () => {
+  const EventEmitter = require('events');
+  const stream = require('stream');
+
+  it('event returns the arguments and removes its listeners', flatback.func(function* (done){
+    const emitter = new EventEmitter();
+    setTimeout(() => emitter.emit('ready', 'a', 'b'), 0);
+    const args = yield flatback.event(emitter, 'ready', {rejectOn: 'error'});
+    assert.deepEqual(args, ['a', 'b']);
+    assert.equal(emitter.listenerCount('ready'), 0);
+    assert.equal(emitter.listenerCount('error'), 0);
+
+    setTimeout(() => emitter.emit('error', new Error('err')), 0);
+    try {
+      yield flatback.event(emitter, 'ready', {rejectOn: ['error', 'close']});
+    } catch(err){
+      assert.equal(err.message, 'err');
+      assert.equal(emitter.listenerCount('close'), 0);
+      done();
+    }
+  }));
+
+  it('readStream reads chunks one at a time with backpressure', flatback.func(function* (done){
+    let produced = 0;
+    const source = new stream.Readable({
+      objectMode: true,
+      highWaterMark: 2,
+      read(){
+        produced ++;
+        this.push(produced <= 10 ? produced : null);
+      },
+    });
+    const reader = flatback.readStream(source);
+    const chunks = [];
+    let chunk;
+    while (!(chunk = yield reader.next()).done){
+      chunks.push(chunk.value);
+      assert(produced - chunks.length <= 3, 'should not read far ahead of the consumer');
+      yield callback => setTimeout(callback, 0);
+    }
+    assert.deepEqual(chunks, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    done();
+  }));
+
+  it('readStream throws stream errors', flatback.func(function* (done){
+    const source = new stream.Readable({
+      read(){
+        this.destroy(new Error('read failed'));
+      },
+    });
+    try {
+      yield flatback.readStream(source).next();
+    } catch(err){
+      assert.equal(err.message, 'read failed');
+      done();
+    }
+  }));
+
+  it('pipeline throws failures in to the flow', flatback.func(function* (done){
+    const collected = [];
+    yield flatback.pipeline(
+      stream.Readable.from(['a', 'b']),
+      new stream.Writable({
+        write(chunk, encoding, callback){
+          collected.push(String(chunk));
+          callback();
+        },
+      })
+    );
+    assert.deepEqual(collected, ['a', 'b']);
+    try {
+      yield flatback.pipeline([
+        stream.Readable.from(['a']),
+        new stream.Writable({
+          write(chunk, encoding, callback){
+            callback(new Error('write failed'));
+          },
+        }),
+      ]);
+    } catch(err){
+      assert.equal(err.message, 'write failed');
+      done();
+    }
+  }));
+});
+
+describe('flatback.durable', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  function* order(id){
+    const [, stock] = yield flatback.checkpoint('reserve', callback => {
+      calls.push('reserve');
+      callback(null, {id: id, reserved: 2});
+    });
+    const [, charge] = yield flatback.checkpoint('charge', callback => {
+      calls.push('charge');
+      callback(chargeFails ? new Error('declined') : null, 'ch_1');
+    });
+    if (chargeFails){
+      throw chargeFails;
+    }
+    return [stock.reserved, charge];
+  }
+  let calls;
+  let chargeFails;
+
+  beforeEach(() => {
+    calls = [];
+    chargeFails = null;
+  });
+
+  it('replays saved checkpoints and runs the rest', () => {
+    const store = flatback.memoryStore();
+    const run = flatback.durable(order, {store: store});
+    assert.equal(run.length, 2);
+    chargeFails = new Error('declined');
+    return run('order-1', 'thing').then(() => assert.fail('should reject'), err => {
+      assert.equal(err.message, 'declined');
+      chargeFails = null;
+      return run('order-1', 'thing');
+    }).then(result => {
+      assert.deepEqual(result, [2, 'ch_1']);
+      assert.deepEqual(calls, ['reserve', 'charge', 'charge']);
+      return run('order-1', 'thing');
+    }).then(result => {
+      assert.deepEqual(result, [2, 'ch_1']);
+      assert.equal(calls.length, 3);
+    });
+  });
+
+  it('saves checkpoints in strict flows', () => {
+    const store = flatback.memoryStore();
+    const run = flatback.durable(function* (id){
+      const [stock] = yield flatback.checkpoint('reserve', callback => {
+        calls.push('reserve');
+        callback(null, {id: id, reserved: 2});
+      });
+      return stock.reserved;
+    }, {store: store, strict: true});
+    return run('order-5', 'thing').then(() => run('order-5', 'thing')).then(result => {
+      assert.equal(result, 2);
+      assert.deepEqual(calls, ['reserve']);
+    });
+  });
+
+  it('runs memoized calls that called back with an error again', () => {
+    const store = flatback.memoryStore();
+    let failures = 1;
+    const memoCharge = flatback.memo((id, callback) => {
+      calls.push('charge');
+      callback(failures -- > 0 ? new Error('declined') : null, `ch_${id}`);
+    });
+    const run = flatback.durable(function* (id){
+      const [err, charge] = yield flatback.checkpoint('charge', memoCharge(id));
+      if (err){
+        throw err;
+      }
+      return charge;
+    }, {store: store});
+    return run('order-6', 6).then(() => assert.fail('should reject'), err => {
+      assert.equal(err.message, 'declined');
+      return run('order-6', 6);
+    }).then(result => {
+      assert.equal(result, 'ch_6');
+      return run('order-6', 6);
+    }).then(result => {
+      assert.equal(result, 'ch_6');
+      assert.deepEqual(calls, ['charge', 'charge']);
+    });
+  });
+
+  it('flags yields that are not checkpoints and refuses unserialisable results', () => {
+    const flagged = [];
+    const run = flatback.durable(function* (){
+      yield;
+      yield flatback.checkpoint('handle', callback => callback(null, {when: new Date()}));
+    }, {store: flatback.memoryStore(), onNondeterministic: info => flagged.push(info)});
+    return run('flow-2').then(() => assert.fail('should reject'), err => {
+      assert(err instanceof TypeError);
+      assert.equal(err.message, 'flatback checkpoint handle cannot be saved, result[1]["when"] is a Date');
+      assert.equal(flagged.length, 1);
+      assert.equal(flagged[0].flowId, 'flow-2');
+      assert.equal(flagged[0].yieldIndex, 1);
+    });
+  });
+
+  it('flags checkpoints replayed in a different order', () => {
+    const store = flatback.memoryStore();
+    const flagged = [];
+    let swap = false;
+    const run = flatback.durable(function* (){
+      const names = swap ? ['b', 'a'] : ['a', 'b'];
+      for (let name of names){
+        yield flatback.checkpoint(name, callback => callback(null, name));
+      }
+    }, {store: store, onNondeterministic: info => flagged.push(info.checkpoint)});
+    return run('flow-3').then(() => {
+      swap = true;
+      return run('flow-3');
+    }).then(() => assert.deepEqual(flagged, ['b', 'a']));
+  });
+
+  it('fileStore keeps checkpoints across store instances', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flatback-'));
+    const run = store => flatback.durable(order, {store: store})('order/4', 'thing');
+    return run(flatback.fileStore(directory)).then(() => run(flatback.fileStore(directory))).then(result => {
+      assert.deepEqual(result, [2, 'ch_1']);
+      assert.deepEqual(calls, ['reserve', 'charge']);
+      assert.deepEqual(fs.readdirSync(directory), ['order%2F4.json']);
+      return new Promise((resolve, reject) => flatback.fileStore(directory).clear('order/4', err => err ? reject(err) : resolve()));
+    }).then(() => {
+      assert.deepEqual(fs.readdirSync(directory), []);
+      fs.rmdirSync(directory);
+    });
+  });
+});
+
+describe('flatback/testing', () => {
+  let harness;
+  beforeEach(() => {
+    harness = testing.harness();
+  });
+  afterEach(() => harness.restore());
+
+  it('steps flows one resumption at a time', () => {
+    const events = [];
+    const makeFlow = name => function* (){
+      for (let index = 0; index < 2; index ++){
+        events.push(`${name}${index}`);
+        yield;
+      }
+    };
+    const a = harness.run(makeFlow('a'));
+    const b = harness.run(makeFlow('b'));
+    assert.deepEqual(events, ['a0', 'b0']);
+    a.assertParkedOn('undefined');
+    assert(harness.step());
+    assert.deepEqual(events, ['a0', 'b0', 'a1']);
+    assert.equal(harness.flush(), 3);
+    assert.deepEqual(events, ['a0', 'b0', 'a1', 'b1']);
+    a.assertDone();
+    b.assertDone();
+    assert.equal(harness.step(), false);
+  });
+
+  it('runs timeouts and deadlines on the virtual clock', () => {
+    const getThing = harness.fake('getThing');
+    const run = harness.run(function* (id){
+      try {
+        yield flatback.timeout(100, callback => getThing(id, callback));
+      } catch(err){
+        return `${err.name} at ${harness.now()}`;
+      }
+    }, ['a']);
+    run.assertParkedOn(getThing);
+    assert.deepEqual(getThing.lastCall.args, ['a']);
+    harness.advance(99);
+    run.assertParkedOn('flatback.timeout');
+    harness.advance(1);
+    assert.equal(run.result, 'TimeoutError at 100');
+    getThing.lastCall.callback(null, 'late'); // ignored
+    assert.equal(run.errors.length, 0);
+
+    const deadline = harness.run(function* (){
+      yield callback => getThing('b', callback);
+    }, [], {timeout: 50});
+    harness.runAll();
+    assert.equal(deadline.error.name, 'TimeoutError');
+    assert.equal(harness.now(), 150);
+  });
+
+  it('scripts callbacks that fire several times, late or never', () => {
+    const twice = harness.fake('twice', call => {
+      call.callback(null, 'first');
+      call.callback(null, 'second');
+    });
+    const late = harness.fake('late', call => harness.after(1000, () => call.callback(null, 'late')));
+    const never = harness.fake('never');
+    const run = harness.run(function* (){
+      const [, first] = yield callback => twice(callback);
+      const [, slow] = yield callback => late(callback);
+      yield flatback.timeout(10, callback => never(callback));
+      return [first, slow];
+    });
+    assert.deepEqual(twice.lastCall.answers, [[null, 'first'], [null, 'second']]);
+    run.assertParkedOn(late);
+    harness.advance(1000);
+    run.assertParkedOn(never);
+    harness.runAll();
+    assert.equal(run.error.name, 'TimeoutError');
+    assert.equal(never.lastCall.answered, false);
+    assert.deepEqual(run.calls.map(call => call.fake.fakeName), ['twice', 'late', 'never']);
+  });
+
+  it('settles deferred promises only when told to', () => {
+    const fetch = harness.deferred('fetch');
+    const run = harness.run(function* (){
+      const [a, b] = yield [fetch('a'), fetch('b')];
+      return a + b;
+    });
+    fetch.calls[1].resolve('B');
+    harness.flush();
+    run.assertParkedOn(fetch);
+    fetch.calls[0].resolve('A');
+    assert.equal(run.done, false, 'should wait for the scheduler to resume');
+    harness.step();
+    harness.flush();
+    assert.equal(run.result, 'AB');
+  });
+});
+
+describe('flatback.scope', () => {
+  let harness;
+  beforeEach(() => {
+    harness = testing.harness();
+  });
+  afterEach(() => harness.restore());
+
+  function* sleeper(ms, events, name){
+    try {
+      yield callback => harness.after(ms, callback);
+      events.push(`${name} done`);
+      return name;
+    } finally {
+      events.push(`${name} finally`);
+    }
+  }
+
+  it('returns once every child has finished', () => {
+    const events = [];
+    const run = harness.run(function* (){
+      const result = yield flatback.scope(function* (scope){
+        scope.spawn(sleeper, 20, events, 'a');
+        const b = scope.spawn(sleeper, 10, events, 'b');
+        events.push(`joined ${yield b.join()}`);
+        return 'body';
+      });
+      events.push('scope returned');
+      return result;
+    });
+    harness.runAll();
+    assert.equal(run.result, 'body');
+    assert.deepEqual(events, ['b done', 'b finally', 'joined b', 'a done', 'a finally', 'scope returned']);
+  });
+
+  it('cancels siblings and the body when a child fails, then throws', () => {
+    const events = [];
+    const run = harness.run(function* (){
+      yield flatback.scope(function* (scope){
+        scope.spawn(sleeper, 100, events, 'slow');
+        scope.spawn(function* failing(){
+          yield callback => harness.after(10, callback);
+          throw new Error('child failed');
+        });
+        try {
+          yield callback => harness.after(1000, callback);
+        } finally {
+          events.push('body finally');
+        }
+      });
+    });
+    harness.advance(10);
+    assert.equal(run.error.message, 'child failed');
+    assert.deepEqual(events, ['body finally', 'slow finally']);
+  });
+
+  it('restarts failing children one for one until escalating', () => {
+    const restarts = [];
+    let attempts = 0;
+    const run = harness.run(function* (){
+      return yield flatback.scope(function* (scope){
+        scope.spawn(function* worker(failTimes){
+          attempts ++;
+          yield;
+          if (attempts <= failTimes){
+            throw new Error(`attempt ${attempts} failed`);
+          }
+        }, 2);
+        return 'ok';
+      }, {strategy: 'one-for-one', onRestart: info => restarts.push(`${info.flow} ${info.restarts}: ${info.error.message}`)});
+    });
+    harness.flush();
+    assert.equal(run.result, 'ok');
+    assert.deepEqual(restarts, ['worker 1: attempt 1 failed', 'worker 2: attempt 2 failed']);
+
+    const escalated = harness.run(function* (){
+      yield flatback.scope(function* (scope){
+        scope.spawn(function* (){
+          yield;
+          throw new Error('always fails');
+        });
+      }, {strategy: 'one-for-one', maxRestarts: 2});
+    });
+    harness.flush();
+    assert.equal(escalated.error.message, 'always fails');
+  });
+
+  it('cancels children along with the flow yielding the scope', () => {
+    const events = [];
+    const run = harness.run(function* (){
+      yield flatback.scope(function* (scope){
+        scope.spawn(sleeper, 100, events, 'child');
+        yield callback => harness.after(100, callback);
+      });
+    });
+    run.cancel();
+    assert(run.cancelled);
+    assert.deepEqual(events, ['child finally']);
+    assert.throws(() => flatback.scope(function* (){}, {strategy: 'one-for-all'}), TypeError);
+  });
+});
+
+describe('flatback.memo', () => {
+  let harness;
+  beforeEach(() => {
+    harness = testing.harness();
+  });
+  afterEach(() => harness.restore());
+
+  it('shares one call between concurrent callers and caches the result', () => {
+    const getThing = harness.fake('getThing');
+    const memoGetThing = flatback.memo(getThing, {ttl: 100});
+    const thing = function* (id){
+      return yield memoGetThing(id);
+    };
+    const a = harness.run(thing, [13]);
+    const b = harness.run(thing, [13]);
+    const c = harness.run(thing, [14]);
+    assert.equal(getThing.calls.length, 2, 'id 13 should only be fetched once');
+    getThing.calls[0].callback(null, 'thing13', 'extra');
+    assert.deepEqual(a.result, [null, 'thing13', 'extra']);
+    assert.deepEqual(b.result, [null, 'thing13', 'extra']);
+    assert.notStrictEqual(a.result, b.result, 'each caller should get its own array');
+    c.assertParkedOn(getThing);
+
+    harness.advance(99);
+    assert.deepEqual(harness.run(thing, [13]).result, [null, 'thing13', 'extra']);
+    assert.equal(getThing.calls.length, 2);
+    harness.advance(1);
+    harness.run(thing, [13]);
+    assert.equal(getThing.calls.length, 3, 'expired results should be fetched again');
+  });
+
+  it('evicts the least recently used results', () => {
+    const calls = [];
+    const memoDouble = flatback.memo((number, callback) => {
+      calls.push(number);
+      callback(null, number * 2);
+    }, {maxSize: 2});
+    const run = harness.run(function* (){
+      for (let number of [1, 2, 1, 3, 1, 2]){
+        yield memoDouble(number);
+      }
+      return yield flatback.strict(memoDouble(3));
+    });
+    assert.deepEqual(calls, [1, 2, 3, 2, 3]);
+    assert.deepEqual(run.result, [6]);
+  });
+
+  it('does not cache failures unless configured', () => {
+    let count = 0;
+    const flaky = (key, callback) => callback(new Error(`failure ${++ count}`));
+    const memoFlaky = flatback.memo(flaky, {key: key => key.toLowerCase()});
+    const cachingFlaky = flatback.memo(flaky, {cacheFailures: true});
+    const run = harness.run(function* (){
+      const [err1] = yield memoFlaky('A');
+      const [err2] = yield memoFlaky('a');
+      const [err3] = yield cachingFlaky('a');
+      const [err4] = yield cachingFlaky('a');
+      return [err1, err2, err3, err4].map(err => err.message);
+    });
+    assert.deepEqual(run.result, ['failure 1', 'failure 2', 'failure 3', 'failure 3']);
+  });
+
+  it('retries calls that called back with an error', () => {
+    let count = 0;
+    const memoFlaky = flatback.memo((key, callback) => callback(++ count < 2 ? new Error('flaky') : null, key));
+    const run = harness.run(function* (){
+      return yield flatback.retry({attempts: 3, delay: 10}, () => memoFlaky('a'));
+    });
+    harness.runAll();
+    assert.deepEqual(run.result, [null, 'a']);
+    assert.equal(count, 2);
+  });
+
+  it('tears the shared call down once every caller is cancelled', () => {
+    const tornDown = [];
+    const memoSlow = flatback.memo((id, callback) => {
+      return reason => tornDown.push(reason.name);
+    });
+    const thing = function* (id){
+      yield memoSlow(id);
+    };
+    const a = harness.run(thing, ['x']);
+    const b = harness.run(thing, ['x']);
+    a.cancel();
+    assert.deepEqual(tornDown, []);
+    b.cancel();
+    assert.deepEqual(tornDown, ['CancelError']);
+  });
+});
+
+describe('flatback.batcher', () => {
+  let harness;
+  beforeEach(() => {
+    harness = testing.harness();
+  });
+  afterEach(() => harness.restore());
+
+  it('collects keys from parallel yields and concurrent flows in to one call', () => {
+    const getThingsFromIds = harness.fake('getThingsFromIds');
+    const loadThing = flatback.batcher(getThingsFromIds);
+    const a = harness.run(function* (){
+      return yield [13, 14].map(id => loadThing(id));
+    });
+    const b = harness.run(function* (){
+      return yield loadThing(13);
+    });
+    assert.equal(getThingsFromIds.calls.length, 0, 'should wait for the turn to end');
+    harness.flush();
+    assert.deepEqual(getThingsFromIds.calls.map(call => call.args[0]), [[13, 14]], 'duplicate keys should be looked up once');
+    getThingsFromIds.lastCall.callback(null, ['thing13', new Error('no thing14')]);
+    assert.deepEqual(a.result[0], [null, 'thing13']);
+    assert.equal(a.result[1][0].message, 'no thing14');
+    assert.deepEqual(b.result, [null, 'thing13']);
+  });
+
+  it('retries keys whose results are errors', () => {
+    let count = 0;
+    const loadFlaky = flatback.batcher((keys, callback) => callback(null, keys.map(key => ++ count < 2 ? new Error('flaky') : key)));
+    const run = harness.run(function* (){
+      return yield flatback.retry({attempts: 3, delay: 10}, () => loadFlaky('a'));
+    });
+    harness.runAll();
+    assert.deepEqual(run.result, [null, 'a']);
+    assert.equal(count, 2);
+  });
+
+  it('starts full batches at once and waits for the window otherwise', () => {
+    const batches = [];
+    const loadDouble = flatback.batcher((numbers, callback) => {
+      batches.push(numbers);
+      callback(null, numbers.map(number => number * 2));
+    }, {maxBatchSize: 2, window: 10});
+    const run = harness.run(function* (){
+      return yield flatback.strict([1, 2, 3].map(number => loadDouble(number)));
+    });
+    assert.deepEqual(batches, [[1, 2]]);
+    harness.advance(9);
+    assert.deepEqual(batches, [[1, 2]]);
+    harness.advance(1);
+    assert.deepEqual(batches, [[1, 2], [3]]);
+    assert.deepEqual(run.result, [[2], [4], [6]]);
+  });
+
+  it('gives batch failures to every caller and drops keys no longer wanted', () => {
+    const getThingsFromIds = harness.fake('getThingsFromIds');
+    const loadThing = flatback.batcher(getThingsFromIds);
+    const kept = harness.run(function* (){
+      return yield loadThing(1);
+    });
+    const cancelled = harness.run(function* (){
+      return yield loadThing(2);
+    });
+    cancelled.cancel();
+    harness.flush();
+    assert.deepEqual(getThingsFromIds.lastCall.args[0], [1]);
+    getThingsFromIds.lastCall.callback(new Error('backend down'));
+    assert.equal(kept.result[0].message, 'backend down');
+
+    const wrongLength = harness.run(function* (){
+      return yield flatback.strict(loadThing(3));
+    });
+    harness.flush();
+    getThingsFromIds.lastCall.callback(null, []);
+    assert(wrongLength.error instanceof TypeError);
+  });
+});
@@ -0,0 +1,52 @@
+// type definitions for flatback/testing
+
+import {Flow, FlowOptions} from './index';
+
+export interface Run<R = any> {
+    flowId: number | null;
+    done: boolean;
+    result: R | undefined;
+    error: any;
+    cancelled: boolean;
+    yieldIndex: number;
+    waitingOn: string | null;
+    errors: any[];
+    calls: FakeCall[];
+    cancel(reason?: Error): void;
+    assertParkedOn(expected: string | Fake): void;
+    assertDone(): void;
+}
+
+export interface FakeCall {
+    fake: Fake;
+    args: any[];
+    run: Run | null;
+    answered: boolean;
+    answers: any[][];
+    callback(...args: any[]): void;
+    resolve(value?: any): void;
+    reject(exception: any): void;
+}
+
+export interface Fake {
+    (...args: any[]): any;
+    fakeName: string;
+    calls: FakeCall[];
+    lastCall: FakeCall | null;
+}
+
+export interface Harness {
+    run<A extends unknown[], R>(genFunction: (...args: A) => Flow<R>, args?: A, options?: FlowOptions): Run<R>;
+    fake(name: string, behaviour?: (call: FakeCall) => void): Fake;
+    deferred(name: string, behaviour?: (call: FakeCall) => void): Fake;
+    step(): boolean;
+    flush(): number;
+    advance(ms: number): Harness;
+    runAll(): Harness;
+    after(ms: number, fn: () => void): void;
+    now(): number;
+    pending(): {tasks: number, timers: number};
+    restore(): void;
+}
+
+export function harness(options?: {startTime?: number, maxTasks?: number}): Harness;
@@ -0,0 +1,328 @@
+"use strict";
+
+const assert = require('assert');
+const flatback = require('./index');
+
+const runKey = Symbol('flatback.testing.run'); // context key for the run a fake is called from
+
+/**
+ * create a harness running flows on a virtual clock: nothing happens until the test steps, flushes or advances it.
+ * installs itself as the flatback scheduler and as an instrument until restored, flows started while it is installed
+ * resume after promises, `yield;` and timers only when the harness says so.
+ * @param {Object} [options]
+ * @param {number} [options.startTime] - initial virtual time in ms, 0 by default
+ * @param {number} [options.maxTasks] - tasks a single flush or advance may run before it assumes a flow never parks, 10000 by default
+ * @returns {Object} - the harness
+ */
+function harness(options){
+  options = options || {};
+  const maxTasks = options.maxTasks || 10000;
+  let time = options.startTime || 0;
+  let timerCount = 0;
+  const tasks = []; // resumptions waiting for step or flush, oldest first
+  const timers = new Map(); // timer => {fn, due, order}
+  const runs = new Map(); // flowId => run
+  let starting = null; // run whose flow is being created
+  const previousScheduler = flatback.getScheduler();
+
+  flatback.setScheduler({
+    resume: fn => tasks.push(fn),
+    yieldTurn: fn => tasks.push(fn),
+    setTimer: (fn, ms) => {
+      const timer = {id: ++ timerCount};
+      timers.set(timer, {fn: fn, due: time + Math.max(ms || 0, 0), order: timerCount});
+      return timer;
+    },
+    clearTimer: timer => timers.delete(timer),
+    now: () => time,
+  });
+
+  const uninstall = flatback.instrument({
+    onFlowStart(event){
+      if (starting && event.parentFlowId == null){
+        starting.flowId = event.flowId;
+        runs.set(event.flowId, starting);
+        starting = null;
+      }
+    },
+    onYield(event){
+      const run = runs.get(event.flowId);
+      if (run){
+        run.yieldIndex = event.yieldIndex;
+        run.waitingOn = event.waitingOn;
+      }
+    },
+    onResolve: yieldEnded,
+    onReject: yieldEnded,
+    onFlowEnd(event){
+      const run = runs.get(event.flowId);
+      if (run){
+        run.waitingOn = null;
+        run.done = true;
+        run.cancelled = event.cancelled;
+        run.error = event.cancelled ? null : event.error;
+        runs.delete(event.flowId);
+      }
+    },
+  });
+
+  function yieldEnded(event){
+    const run = runs.get(event.flowId);
+    if (run){
+      run.waitingOn = null;
+    }
+  }
+
+  /**
+   * start a flow on the virtual clock, it runs until it first parks on a yield that is not already complete.
+   * @param {GeneratorFunction} genFunction - describes control flow
+   * @param {Array} [args] - arguments for the generator function
+   * @param {Object} [flowOptions] - flow options, see flatback.func, the timeout option uses the virtual clock
+   * @returns {Object} - the run: done, result, error, cancelled, yieldIndex, waitingOn, errors, calls,
+   *   cancel(reason), assertParkedOn(expected) and assertDone()
+   */
+  function run(genFunction, args, flowOptions){
+    const state = {
+      flowId: null,
+      done: false,
+      result: undefined,
+      error: null,
+      cancelled: false,
+      yieldIndex: 0,
+      waitingOn: null, // description of the pending yield, e.g. 'promise' or 'function with 1 callback'
+      errors: [], // exceptions the flow threw, including late ones
+      calls: [], // calls to fakes made from the flow or its nested flows
+      cancel: null,
+      assertParkedOn: expected => assertParkedOn(state, expected),
+      assertDone: () => assert(state.done, `flow ${genFunction.name || 'anonymous'} is still waiting on ${state.waitingOn}`),
+    };
+    const wrapped = function* (){
+      flatback.context.set(runKey, state);
+      state.result = yield* genFunction.apply(this, arguments);
+    };
+    starting = state;
+    try {
+      state.cancel = flatback.func(wrapped, Object.assign({
+        name: genFunction.name || 'anonymous',
+        onError: err => state.errors.push(err),
+      }, flowOptions)).apply(null, args || []).cancel;
+    } finally {
+      starting = null;
+    }
+    return state;
+  }
+
+  /**
+   * check the flow is waiting on a yield.
+   * @param {Object} state - run returned by run
+   * @param {(string|Function)} expected - description of the yield, see waitingOn, or a fake with an unanswered call from the run
+   * @returns {undefined}
+   */
+  function assertParkedOn(state, expected){
+    assert(!state.done, `flow has finished, expected it to be waiting on ${expected.fakeName || expected}`);
+    if (typeof expected == 'function'){
+      assert(state.calls.some(call => call.fake === expected && !call.answered),
+        `flow is waiting on ${state.waitingOn}, not an unanswered call to fake ${expected.fakeName}`);
+    } else {
+      assert.equal(state.waitingOn, expected, `flow is waiting on ${state.waitingOn}, not ${expected}`);
+    }
+  }
+
+  /**
+   * create a callback taking function standing in for an asynchronous API, its last argument is the callback.
+   * every call is recorded, call.callback can then be called as often and as late as the test likes, or never.
+   * @param {string} name - name for assertion messages
+   * @param {Function} [behaviour] - called with each call to script its outcome, e.g. call => call.callback(null, 'ok')
+   * @returns {Function} - the fake, with calls and lastCall
+   */
+  function fake(name, behaviour){
+    const fakeFunction = function(){
+      const args = Array.from(arguments);
+      const callback = typeof args[args.length - 1] == 'function' ? args.pop() : () => {};
+      const call = recordCall(fakeFunction, args);
+      call.callback = function(){
+        call.answered = true;
+        call.answers.push(Array.from(arguments));
+        return callback.apply(null, arguments);
+      };
+      if (behaviour){
+        behaviour(call);
+      }
+    };
+    return describeFake(fakeFunction, name);
+  }
+
+  /**
+   * create a function returning promise-like values that only settle when the test says so.
+   * unlike native promises they are settled synchronously, the flow then resumes at the harness's next step.
+   * @param {string} name - name for assertion messages
+   * @param {Function} [behaviour] - called with each call to script its outcome, e.g. call => call.resolve('ok')
+   * @returns {Function} - the fake, with calls and lastCall
+   */
+  function deferred(name, behaviour){
+    const fakeFunction = function(){
+      const call = recordCall(fakeFunction, Array.from(arguments));
+      let settled = null;
+      const listeners = [];
+      const settle = (rejected, value) => {
+        if (!settled){
+          call.answered = true;
+          call.answers.push([rejected ? value : null, rejected ? undefined : value]);
+          settled = {rejected: rejected, value: value};
+          listeners.splice(0).forEach(listener => listener());
+        }
+      };
+      call.resolve = value => settle(false, value);
+      call.reject = err => settle(true, err);
+      if (behaviour){
+        behaviour(call);
+      }
+      return {
+        then(onFulfilled, onRejected){
+          const listener = () => {
+            const handler = settled.rejected ? onRejected : onFulfilled;
+            if (handler){
+              handler(settled.value);
+            }
+          };
+          if (settled){
+            listener();
+          } else {
+            listeners.push(listener);
+          }
+        },
+      };
+    };
+    return describeFake(fakeFunction, name);
+  }
+
+  function recordCall(fakeFunction, args){
+    const call = {
+      fake: fakeFunction,
+      args: args,
+      run: flatback.context.get(runKey) || null,
+      answered: false,
+      answers: [], // arguments of each callback or settlement, in order
+    };
+    fakeFunction.calls.push(call);
+    fakeFunction.lastCall = call;
+    if (call.run){
+      call.run.calls.push(call);
+    }
+    return call;
+  }
+
+  function describeFake(fakeFunction, name){
+    fakeFunction.fakeName = name;
+    fakeFunction.calls = [];
+    fakeFunction.lastCall = null;
+    return fakeFunction;
+  }
+
+  /**
+   * run the oldest waiting resumption, resuming one flow by one yield.
+   * @returns {boolean} - whether there was anything to run
+   */
+  function step(){
+    if (!tasks.length){
+      return false;
+    }
+    tasks.shift()();
+    return true;
+  }
+
+  /**
+   * run waiting resumptions until every flow is parked on a callback, a timer or a deferred, without moving the clock.
+   * @returns {number} - how many were run
+   */
+  function flush(){
+    let count = 0;
+    while (step()){
+      if (++ count >= maxTasks){
+        throw new Error(`flatback testing harness ran ${count} tasks without settling, is a flow yielding in a loop?`);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * move the virtual clock forward, firing timers as they fall due and flushing after each.
+   * @param {number} ms - how far to move
+   * @returns {Object} - the harness, for chaining
+   */
+  function advance(ms){
+    const until = time + ms;
+    flush();
+    for (let next = nextTimer(until); next; next = nextTimer(until)){
+      timers.delete(next.timer);
+      time = next.due;
+      next.fn();
+      flush();
+    }
+    time = until;
+    return api;
+  }
+
+  /**
+   * advance the virtual clock until no timers are left.
+   * @returns {Object} - the harness, for chaining
+   */
+  function runAll(){
+    flush();
+    for (let count = 0; timers.size; count ++){
+      if (count >= maxTasks){
+        throw new Error(`flatback testing harness fired ${count} timers without running out, is a flow retrying forever?`);
+      }
+      advance(nextTimer(Infinity).due - time);
+    }
+    return api;
+  }
+
+  function nextTimer(until){
+    let next = null;
+    timers.forEach((entry, timer) => {
+      if (entry.due <= until && (!next || entry.due < next.due || (entry.due == next.due && entry.order < next.order))){
+        next = {timer: timer, due: entry.due, fn: entry.fn, order: entry.order};
+      }
+    });
+    return next;
+  }
+
+  /**
+   * call a function once the virtual clock reaches a time, e.g. to answer a fake late.
+   * @param {number} ms - delay from now
+   * @param {Function} fn - function to call
+   * @returns {undefined}
+   */
+  function after(ms, fn){
+    timers.set({id: ++ timerCount}, {fn: fn, due: time + ms, order: timerCount});
+  }
+
+  /**
+   * put back the scheduler installed before the harness and stop instrumenting new flows.
+   * @returns {undefined}
+   */
+  function restore(){
+    flatback.setScheduler(previousScheduler);
+    uninstall();
+  }
+
+  const api = {
+    run: run,
+    fake: fake,
+    deferred: deferred,
+    step: step,
+    flush: flush,
+    advance: advance,
+    runAll: runAll,
+    after: after,
+    now: () => time,
+    pending: () => ({tasks: tasks.length, timers: timers.size}),
+    restore: restore,
+  };
+  return api;
+}
+
+module.exports = {
+    harness: harness,
+};